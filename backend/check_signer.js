@@ -1,30 +1,36 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
+const { loadNetwork } = require('./lib/network');
+const { createSigners } = require('./lib/signer');
 
-const CONTRACT_ADDRESS = "0x104739765FD82261F7a5005Af47ec6412484081c";
 const ABI = ["function trustedSigner() view returns (address)"];
 
 async function check() {
-    const provider = new ethers.JsonRpcProvider("https://polygon-rpc.com");
-    const contract = new ethers.Contract(CONTRACT_ADDRESS, ABI, provider);
+    const network = loadNetwork();
+    console.log(`Network: ${network.name} (chainId ${network.chainId})`);
+    const provider = new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true });
+    const contract = new ethers.Contract(network.contractAddress, ABI, provider);
 
     try {
         console.log("Querying contract...");
         const onChainSigner = await contract.trustedSigner();
         console.log("✅ Contract Trusted Signer:", onChainSigner);
 
-        if (process.env.PRIVATE_KEY) {
-            const wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
-            console.log("🔑 Backend Private Key Address:", wallet.address);
+        // Same SIGNERS config as the server (local key, keystore or remote service)
+        let signers;
+        try {
+            signers = await createSigners({ getTrustedSigner: async () => onChainSigner.toLowerCase() });
+        } catch (e) {
+            console.log("⚠️ Could not load signers:", e.message);
+            return;
+        }
+        for (const signer of signers.list) console.log("🔑 Backend Signer:", signer.id);
 
-            if (onChainSigner.toLowerCase() === wallet.address.toLowerCase()) {
-                console.log("🎉 MATCH! The Private Key is correct.");
-            } else {
-                console.error("❌ MISMATCH! The Private Key in .env does NOT belong to the trustedSigner.");
-                console.error("Please find the Private Key for:", onChainSigner);
-            }
+        if (signers.byAddress(onChainSigner)) {
+            console.log("🎉 MATCH! The backend signs as the trustedSigner.");
         } else {
-            console.log("⚠️ No PRIVATE_KEY found in .env");
+            console.error("❌ MISMATCH! None of the configured signers is the trustedSigner.");
+            console.error("Please configure the key for:", onChainSigner);
         }
 
     } catch (err) {
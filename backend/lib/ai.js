@@ -0,0 +1,146 @@
+// ---------------------------------------------------------
+// PRACTICE AI
+// ---------------------------------------------------------
+// Picks a move for the AI seat in practice games. Works on any NxN/k board
+// using the same winning-lines table as the referee.
+//
+// Difficulties:
+//   random  - any free cell
+//   easy    - takes a win when it sees one, otherwise random
+//   medium  - wins or blocks, otherwise a shallow search half the time
+//   perfect - alpha-beta minimax (exhaustive on 3x3; on bigger boards as deep as
+//             the search budget allows)
+//
+// The search runs on the request thread, so every move on a bigger board is
+// capped at SEARCH_BUDGET cell checks (each position scanned costs every cell of
+// every winning line, roughly 0.1 microseconds each) - a few tens of ms whatever
+// the board size.
+
+const DIFFICULTIES = ['random', 'easy', 'medium', 'perfect'];
+
+const WIN_SCORE = 1000000;
+
+// Largest board the AI plays (the search budget holds up to here)
+const MAX_BOARD_SIZE = 7;
+const SEARCH_BUDGET = 300000;
+const OUT_OF_BUDGET = Symbol('out of budget');
+
+const freeCells = (board) => board.reduce((cells, cell, i) => (cell ? cells : [...cells, i]), []);
+
+const pickRandom = (cells) => cells[Math.floor(Math.random() * cells.length)];
+
+// Cell that completes a line for `symbol`, or null
+const findWinningCell = (board, lines, symbol) => {
+    for (const line of lines) {
+        const empty = line.filter(i => !board[i]);
+        if (empty.length === 1 && line.every(i => board[i] === symbol || !board[i])) return empty[0];
+    }
+    return null;
+};
+
+// Positional estimate for non-terminal boards: open lines weighted by how full they are
+const evaluate = (board, lines, me, opponent) => {
+    let score = 0;
+    for (const line of lines) {
+        let mine = 0;
+        let theirs = 0;
+        for (const i of line) {
+            if (board[i] === me) mine++;
+            else if (board[i] === opponent) theirs++;
+        }
+        if (mine && !theirs) score += 10 ** mine;
+        else if (theirs && !mine) score -= 10 ** theirs;
+    }
+    return score;
+};
+
+// budget: { left } in cell checks, or null for an unbounded search
+const minimax = (board, lines, checkWin, depth, alpha, beta, maximizing, me, opponent, budget) => {
+    if (budget) {
+        budget.left -= lines.length * lines[0].length;
+        if (budget.left < 0) throw OUT_OF_BUDGET;
+    }
+    const winner = checkWin(board);
+    if (winner === me) return WIN_SCORE + depth;     // Prefer quicker wins
+    if (winner === opponent) return -WIN_SCORE - depth;
+    const cells = freeCells(board);
+    if (cells.length === 0) return 0;                // Draw (the board resets)
+    if (depth === 0) return evaluate(board, lines, me, opponent);
+
+    let best = maximizing ? -Infinity : Infinity;
+    for (const cell of cells) {
+        board[cell] = maximizing ? me : opponent;
+        const score = minimax(board, lines, checkWin, depth - 1, alpha, beta, !maximizing, me, opponent, budget);
+        board[cell] = null;
+        if (maximizing) {
+            best = Math.max(best, score);
+            alpha = Math.max(alpha, score);
+        } else {
+            best = Math.min(best, score);
+            beta = Math.min(beta, score);
+        }
+        if (beta <= alpha) break;
+    }
+    return best;
+};
+
+const searchBestMove = (board, lines, checkWin, me, opponent, depth, budget = null) => {
+    const scratch = [...board];
+    let bestScore = -Infinity;
+    let bestCells = [];
+    for (const cell of freeCells(scratch)) {
+        scratch[cell] = me;
+        const score = minimax(scratch, lines, checkWin, depth - 1, -Infinity, Infinity, false, me, opponent, budget);
+        scratch[cell] = null;
+        if (score > bestScore) {
+            bestScore = score;
+            bestCells = [cell];
+        } else if (score === bestScore) {
+            bestCells.push(cell);
+        }
+    }
+    return pickRandom(bestCells); // Vary play between equally good moves
+};
+
+// Best move from the deepest search (up to maxDepth) that fits in the budget.
+// A 3x3 board is always searched to the end, which is cheap and keeps it perfect.
+const searchWithinBudget = (board, lines, checkWin, me, opponent, maxDepth) => {
+    const cells = freeCells(board);
+    if (board.length <= 9) return searchBestMove(board, lines, checkWin, me, opponent, Math.min(maxDepth, cells.length));
+
+    const budget = { left: SEARCH_BUDGET };
+    let best = pickRandom(cells);
+    for (let depth = 1; depth <= Math.min(maxDepth, cells.length); depth++) {
+        try {
+            best = searchBestMove(board, lines, checkWin, me, opponent, depth, budget);
+        } catch (e) {
+            if (e !== OUT_OF_BUDGET) throw e;
+            break;
+        }
+    }
+    return best;
+};
+
+// board: flat array of 'X' | 'O' | null
+// lines: winning lines for the board (see getWinningLines)
+// checkWin: board -> 'X' | 'O' | null
+const chooseMove = ({ board, lines, checkWin, me, difficulty }) => {
+    const opponent = me === 'X' ? 'O' : 'X';
+    const cells = freeCells(board);
+    if (cells.length === 0) return null;
+    if (difficulty === 'random') return pickRandom(cells);
+
+    const win = findWinningCell(board, lines, me);
+    if (win !== null) return win;
+    if (difficulty === 'easy') return pickRandom(cells);
+
+    const block = findWinningCell(board, lines, opponent);
+    if (block !== null) return block;
+
+    if (difficulty === 'medium') {
+        return Math.random() < 0.5 ? pickRandom(cells) : searchWithinBudget(board, lines, checkWin, me, opponent, 2);
+    }
+    return searchWithinBudget(board, lines, checkWin, me, opponent, cells.length);
+};
+
+module.exports = { DIFFICULTIES, MAX_BOARD_SIZE, chooseMove };
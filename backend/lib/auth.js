@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { sendError } = require('./errors');
+
+// ---------------------------------------------------------
+// WALLET SIGN-IN
+// ---------------------------------------------------------
+// 1. Client asks for a nonce for its address (POST /auth/nonce)
+// 2. Client signs the returned message with MetaMask (personal_sign)
+// 3. Client posts the signature (POST /auth/verify) and gets a session token
+// 4. Mutating routes read the player from the session, never from the body
+//
+// Practice games don't need a wallet: issueGuestSession() hands out a token for
+// a throwaway "guest-<hex>" id that can never hold a stake.
+
+const NONCE_TTL_MS = 5 * 60 * 1000;                                   // 5 minutes to sign
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS) || 12 * 60 * 60 * 1000; // 12 hours
+
+// Key: address (lowercase) -> { nonce, message, expiresAt }
+const pendingNonces = new Map();
+// Key: token -> { address, expiresAt, guest }
+const sessions = new Map();
+
+const buildMessage = (address, nonce) =>
+    `Sign in to Tic-Tac-Toe Wager\n\nAddress: ${address}\nNonce: ${nonce}`;
+
+const issueNonce = (address) => {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const message = buildMessage(address, nonce);
+    pendingNonces.set(address, { nonce, message, expiresAt: Date.now() + NONCE_TTL_MS });
+    return { nonce, message };
+};
+
+// Returns a session token, or null if the signature doesn't match the pending nonce
+const verifySignature = (address, signature) => {
+    const pending = pendingNonces.get(address);
+    if (!pending || pending.expiresAt < Date.now()) return null;
+
+    let recovered;
+    try {
+        recovered = ethers.verifyMessage(pending.message, signature).toLowerCase();
+    } catch (e) {
+        return null;
+    }
+    if (recovered !== address) return null;
+
+    // Nonces are single-use
+    pendingNonces.delete(address);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(token, { address, expiresAt: Date.now() + SESSION_TTL_MS });
+    return { token, expiresAt: sessions.get(token).expiresAt };
+};
+
+// Session for a player without a wallet (practice mode only)
+const issueGuestSession = () => {
+    const address = `guest-${crypto.randomBytes(8).toString('hex')}`;
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(token, { address, expiresAt: Date.now() + SESSION_TTL_MS, guest: true });
+    return { address, token, expiresAt: sessions.get(token).expiresAt };
+};
+
+const getSession = (token) => {
+    const session = sessions.get(token);
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+        sessions.delete(token);
+        return null;
+    }
+    return session;
+};
+
+const readSession = (req) => {
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    return token ? getSession(token) : null;
+};
+
+// Express middleware: sets req.player (and req.guest) from "Authorization: Bearer <token>"
+const requireSession = (req, res, next) => {
+    const session = readSession(req);
+    if (!session) return sendError(res, 401, 'NOT_SIGNED_IN', "Not signed in");
+
+    req.player = session.address;
+    req.guest = !!session.guest;
+    next();
+};
+
+// Same as requireSession, but only for wallet sessions (anything with a stake)
+const requireWallet = (req, res, next) => requireSession(req, res, () => {
+    if (req.guest) return sendError(res, 403, 'WALLET_REQUIRED', "Connect a wallet to play for a stake");
+    next();
+});
+
+// Like requireSession, but lets anonymous requests through with req.player unset
+const optionalSession = (req, res, next) => {
+    const session = readSession(req);
+    if (session) {
+        req.player = session.address;
+        req.guest = !!session.guest;
+    }
+    next();
+};
+
+// Drop expired nonces and sessions so the maps don't grow forever
+setInterval(() => {
+    const now = Date.now();
+    for (const [address, pending] of pendingNonces) {
+        if (pending.expiresAt < now) pendingNonces.delete(address);
+    }
+    for (const [token, session] of sessions) {
+        if (session.expiresAt < now) sessions.delete(token);
+    }
+}, 60 * 1000).unref();
+
+module.exports = { issueNonce, verifySignature, issueGuestSession, requireSession, requireWallet, optionalSession };
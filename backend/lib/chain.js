@@ -0,0 +1,100 @@
+const { ethers } = require('ethers');
+
+// ---------------------------------------------------------
+// ON-CHAIN ESCROW (UlaniWager)
+// ---------------------------------------------------------
+// Read-only access to the wager contract through the network profile's
+// JSON-RPC provider (Polygon, Amoy or a local anvil/hardhat node).
+
+const WAGER_ABI = [
+    "function wagers(uint256) view returns (address playerA, address playerB, uint256 stake, bool joined, bool settled, address winner)",
+    "function trustedSigner() view returns (address)",
+    "function settle(uint256 matchId, address winner, bytes signature)"
+];
+
+const createChain = (network) => {
+    const provider = new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true });
+    const contract = new ethers.Contract(network.contractAddress, WAGER_ABI, provider);
+
+    // Returns the wager for matchId with lowercase addresses and the stake as a wei string
+    const getWager = async (matchId) => {
+        const w = await contract.wagers(matchId);
+        return {
+            playerA: w.playerA.toLowerCase(),
+            playerB: w.playerB.toLowerCase(),
+            stake: w.stake.toString(),
+            joined: w.joined,
+            settled: w.settled,
+            winner: w.winner.toLowerCase()
+        };
+    };
+
+    // Checks the escrow for a game matches our record.
+    // Returns { ok: true, wager } or { ok: false, reason }.
+    const verifyEscrow = async (game) => {
+        let wager;
+        try {
+            wager = await getWager(game.matchId);
+        } catch (error) {
+            return { ok: false, reason: `RPC error: ${error.shortMessage || error.message}` };
+        }
+
+        if (wager.playerA === ethers.ZeroAddress) return { ok: false, reason: "No wager on-chain for this match" };
+        if (wager.playerA !== game.playerA) return { ok: false, reason: "On-chain creator does not match" };
+        if (!wager.joined) return { ok: false, reason: "Opponent has not joined on-chain" };
+        if (wager.playerB !== game.playerB) return { ok: false, reason: "On-chain opponent does not match" };
+        if (BigInt(wager.stake) === 0n) return { ok: false, reason: "No stake locked on-chain" };
+        if (wager.settled) return { ok: false, reason: "Wager already settled" };
+        if (game.stake && game.stake !== wager.stake) return { ok: false, reason: "On-chain stake changed" };
+
+        return { ok: true, wager };
+    };
+
+    // Address settle() accepts signatures from (lowercase)
+    const getTrustedSigner = async () => (await contract.trustedSigner()).toLowerCase();
+
+    // Decodes a mined, successful settle() call on our contract.
+    // Returns { matchId, winner, txHash, blockNumber, settledAt } or null for anything else.
+    const readSettleTx = async (txHash) => {
+        const [tx, receipt] = await Promise.all([provider.getTransaction(txHash), provider.getTransactionReceipt(txHash)]);
+        if (!tx || !receipt || receipt.status !== 1) return null;
+        if (!tx.to || tx.to.toLowerCase() !== network.contractAddress.toLowerCase()) return null;
+
+        const call = contract.interface.parseTransaction({ data: tx.data });
+        if (!call || call.name !== 'settle') return null;
+
+        const block = await provider.getBlock(receipt.blockNumber);
+        return {
+            matchId: call.args.matchId.toString(),
+            winner: call.args.winner.toLowerCase(),
+            txHash: receipt.hash.toLowerCase(),
+            blockNumber: receipt.blockNumber,
+            settledAt: block ? block.timestamp * 1000 : null
+        };
+    };
+
+    // Looks back `lookbackBlocks` for the settle() transaction of matchId.
+    // The event layout isn't in our ABI, so this matches any contract log whose
+    // first indexed topic is the match ID and keeps the newest one that decodes
+    // as settle(matchId, ...). Returns null when nothing is found in range.
+    const findSettleTx = async (matchId, lookbackBlocks) => {
+        const latest = await provider.getBlockNumber();
+        const logs = await provider.getLogs({
+            address: network.contractAddress,
+            topics: [null, ethers.toBeHex(BigInt(matchId), 32)],
+            fromBlock: Math.max(0, latest - lookbackBlocks),
+            toBlock: latest
+        });
+
+        const hashes = [...new Set(logs.map(log => log.transactionHash))].reverse();
+        for (const hash of hashes) {
+            const settle = await readSettleTx(hash);
+            if (settle && settle.matchId === matchId) return settle;
+        }
+        return null;
+    };
+
+    return { network, provider, getWager, verifyEscrow, getTrustedSigner, readSettleTx, findSettleTx };
+};
+
+module.exports = { createChain };
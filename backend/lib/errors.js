@@ -0,0 +1,30 @@
+// ---------------------------------------------------------
+// ERROR ENVELOPE
+// ---------------------------------------------------------
+// Every failed request gets the same JSON shape:
+//   { error: "Human readable message", code: "MACHINE_CODE", details?: {...} }
+// `error` stays a plain string so older clients that only read it keep working.
+
+const sendError = (res, status, code, message, details) => {
+    const body = { error: message, code };
+    if (details) body.details = details;
+    return res.status(status).json(body);
+};
+
+// Last-resort Express error handler: bad JSON bodies, oversized payloads, and
+// errors thrown by sync handlers or passed on by asyncHandler
+const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    if (err.type === 'entity.parse.failed') return sendError(res, 400, 'INVALID_JSON', "Request body is not valid JSON");
+    if (err.type === 'entity.too.large') return sendError(res, 413, 'PAYLOAD_TOO_LARGE', "Request body too large");
+
+    console.error(`[API] ${req.method} ${req.path} failed`, err);
+    sendError(res, 500, 'INTERNAL_ERROR', "Internal server error");
+};
+
+// Express 4 ignores the promise an async handler returns, so a rejection
+// (store write, RPC call) would go unhandled and take the process down.
+// Wrapped handlers pass it to next() and end up in errorHandler as a 500.
+const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+module.exports = { sendError, errorHandler, asyncHandler };
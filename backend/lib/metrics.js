@@ -0,0 +1,57 @@
+// ---------------------------------------------------------
+// METRICS
+// ---------------------------------------------------------
+// In-process counters, reset on restart. Exposed by GET /metrics in the
+// Prometheus text format (or JSON with ?format=json).
+//
+//   const metrics = createMetrics({ moves_total: 'Moves played' });
+//   metrics.inc('moves_total');
+//   metrics.inc('games_completed_total', { reason: 'TIMEOUT' });
+
+const labelKey = (labels) => Object.entries(labels)
+    .map(([name, value]) => `${name}="${String(value).replace(/["\\\n]/g, '')}"`)
+    .join(',');
+
+const createMetrics = (definitions) => {
+    // Counter name -> Map(label key -> value)
+    const counters = new Map(Object.keys(definitions).map(name => [name, new Map()]));
+
+    const inc = (name, labels = {}, by = 1) => {
+        const series = counters.get(name);
+        if (!series) throw new Error(`Unknown metric ${name}`);
+        const key = labelKey(labels);
+        series.set(key, (series.get(key) || 0) + by);
+    };
+
+    // { 'name' | 'name{label="x"}': value }
+    const snapshot = () => {
+        const out = {};
+        for (const [name, series] of counters) {
+            if (series.size === 0) out[name] = 0;
+            for (const [key, value] of series) out[key ? `${name}{${key}}` : name] = value;
+        }
+        return out;
+    };
+
+    // gauges: [{ name, help, values: [{ labels, value }] }] computed by the caller at scrape time
+    const toPrometheus = (gauges = []) => {
+        const lines = [];
+        for (const [name, series] of counters) {
+            lines.push(`# HELP ${name} ${definitions[name]}`, `# TYPE ${name} counter`);
+            if (series.size === 0) lines.push(`${name} 0`);
+            for (const [key, value] of series) lines.push(`${key ? `${name}{${key}}` : name} ${value}`);
+        }
+        for (const { name, help, values } of gauges) {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+            for (const { labels = {}, value } of values) {
+                const key = labelKey(labels);
+                lines.push(`${key ? `${name}{${key}}` : name} ${value}`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    };
+
+    return { inc, snapshot, toPrometheus };
+};
+
+module.exports = { createMetrics };
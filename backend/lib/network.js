@@ -0,0 +1,31 @@
+const networks = require('../../shared/networks.json');
+
+// ---------------------------------------------------------
+// NETWORK PROFILE
+// ---------------------------------------------------------
+// NETWORK=polygon|amoy|local picks a profile from shared/networks.json
+// (the frontend reads the same file). RPC_URL, CONTRACT_ADDRESS and
+// CHAIN_ID override single fields, e.g. for a freshly deployed contract.
+
+const NETWORK = (process.env.NETWORK || 'polygon').toLowerCase();
+
+const loadNetwork = () => {
+    const profile = networks[NETWORK];
+    if (!profile) {
+        throw new Error(`Unknown NETWORK "${NETWORK}" (expected one of ${Object.keys(networks).join(', ')})`);
+    }
+
+    const network = {
+        key: NETWORK,
+        ...profile,
+        chainId: Number(process.env.CHAIN_ID || profile.chainId),
+        rpcUrl: process.env.RPC_URL || profile.rpcUrl,
+        contractAddress: process.env.CONTRACT_ADDRESS || profile.contractAddress
+    };
+    if (!network.contractAddress) {
+        throw new Error(`No contract address for NETWORK "${NETWORK}" - set CONTRACT_ADDRESS`);
+    }
+    return network;
+};
+
+module.exports = { loadNetwork };
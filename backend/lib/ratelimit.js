@@ -0,0 +1,75 @@
+const { sendError } = require('./errors');
+
+// ---------------------------------------------------------
+// RATE LIMITING
+// ---------------------------------------------------------
+// Fixed-window counters kept in memory (per instance, like sessions).
+// createRateLimiter() returns:
+//   middleware(keyFn) - counts every request for keyFn(req), 429 once over the limit
+//   guard(keyFn)      - only blocks; pair with hit() to count selected outcomes
+//                       (e.g. wrong invite passcodes)
+//   hit(key)          - count one event for key
+//   miss(res, key)    - count one event for key, or answer 429 once over the limit
+//                       (returns true if it answered) - blocks only the counted outcome
+
+const createRateLimiter = ({ name, windowMs, max }) => {
+    // Key -> { count, resetAt }
+    const windows = new Map();
+
+    const current = (key) => {
+        const now = Date.now();
+        let entry = windows.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            windows.set(key, entry);
+        }
+        return entry;
+    };
+
+    const reject = (res, entry) => {
+        const retryAfterSec = Math.max(1, Math.ceil((entry.resetAt - Date.now()) / 1000));
+        res.set('Retry-After', String(retryAfterSec));
+        return sendError(res, 429, 'RATE_LIMITED', "Too many requests, slow down", { limit: name, retryAfterSec });
+    };
+
+    const hit = (key) => {
+        current(key).count += 1;
+    };
+
+    const miss = (res, key) => {
+        const entry = current(key);
+        if (entry.count >= max) {
+            reject(res, entry);
+            return true;
+        }
+        entry.count += 1;
+        return false;
+    };
+
+    const guard = (keyFn) => (req, res, next) => {
+        const entry = current(keyFn(req));
+        if (entry.count >= max) return reject(res, entry);
+        next();
+    };
+
+    const middleware = (keyFn) => (req, res, next) => {
+        const entry = current(keyFn(req));
+        if (entry.count >= max) return reject(res, entry);
+        entry.count += 1;
+        next();
+    };
+
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of windows) {
+            if (entry.resetAt <= now) windows.delete(key);
+        }
+    }, windowMs).unref();
+
+    return { hit, miss, guard, middleware };
+};
+
+const byIp = (req) => req.ip;
+const byPlayer = (req) => req.player || req.ip;
+
+module.exports = { createRateLimiter, byIp, byPlayer };
@@ -0,0 +1,71 @@
+// ---------------------------------------------------------
+// REAL-TIME GAME UPDATES (Server-Sent Events)
+// ---------------------------------------------------------
+// GET /events/:matchId keeps the response open and pushes the full
+// game state as a "game" event whenever publish() is called for that
+// match. Browsers reconnect EventSource streams on their own.
+// Streams opened with ?role=spectator are counted, and every subscriber
+// gets a "spectators" event whenever that count changes.
+
+const HEARTBEAT_MS = 25 * 1000; // Below Cloud Run / proxy idle timeouts
+
+// Key: matchId -> Set of open responses
+const subscribers = new Map();
+// Key: matchId -> number of open spectator streams
+const spectators = new Map();
+
+const writeEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const broadcast = (matchId, event, data) => {
+    const set = subscribers.get(matchId);
+    if (!set) return;
+    for (const res of set) writeEvent(res, event, data);
+};
+
+const getSpectatorCount = (matchId) => spectators.get(matchId) || 0;
+
+const changeSpectators = (matchId, delta) => {
+    const count = getSpectatorCount(matchId) + delta;
+    if (count > 0) spectators.set(matchId, count);
+    else spectators.delete(matchId);
+    broadcast(matchId, 'spectators', { count });
+};
+
+// Registers res as a subscriber and sends the current state straight away
+const subscribe = (req, res, game, { spectator = false } = {}) => {
+    const { matchId } = game;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 2000\n\n');
+    writeEvent(res, 'game', game);
+
+    if (!subscribers.has(matchId)) subscribers.set(matchId, new Set());
+    subscribers.get(matchId).add(res);
+    if (spectator) changeSpectators(matchId, 1);
+    else writeEvent(res, 'spectators', { count: getSpectatorCount(matchId) });
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const set = subscribers.get(matchId);
+        if (set) {
+            set.delete(res);
+            if (set.size === 0) subscribers.delete(matchId);
+        }
+        if (spectator) changeSpectators(matchId, -1);
+    });
+};
+
+// Pushes the game to everyone watching its match
+const publish = (game) => broadcast(game.matchId, 'game', game);
+
+module.exports = { subscribe, publish, getSpectatorCount };
@@ -0,0 +1,87 @@
+// ---------------------------------------------------------
+// SETTLEMENT TRACKING
+// ---------------------------------------------------------
+// A COMPLETED wagered game counts as claimed once wagers(matchId).settled is
+// true on-chain. Two ways in:
+//   - confirm(): the winner's client reports its settle() transaction once mined
+//   - a poller reads the settled flag of every unclaimed game, which catches
+//     claims made outside our frontend (then looks the transaction up in the logs)
+// Either way the game gets settled / settleTxHash / settledAt and onSettled(game)
+// runs (once per game) after it has been saved.
+// The poller gives up on games finished more than maxAgeMs ago, so unclaimed
+// wins don't cost an RPC call every pass forever; confirm() still works for them.
+
+const isTracked = (game) => game.status === 'COMPLETED' && !game.practice && !!game.winner && !game.settled;
+
+// Last move, or creation for a game that ended without one
+const finishedAt = (game) => (game.moves && game.moves.length ? game.moves[game.moves.length - 1].at : game.createdAt) || 0;
+
+const createSettlementTracker = ({ chain, gamesDb, pollMs, maxAgeMs, lookbackBlocks, onSettled }) => {
+    const record = async (game, settle) => {
+        // confirm() and the poller can both get here for the same game
+        const first = !game.settled;
+        if (!first && (game.settleTxHash || !settle)) return;
+
+        game.settled = true;
+        game.settleTxHash = settle ? settle.txHash : null;
+        if (first || settle.settledAt) game.settledAt = (settle && settle.settledAt) || Date.now();
+        await gamesDb.save(game);
+        if (first) onSettled(game);
+    };
+
+    // Reported settle() transaction for a game.
+    // Returns { ok: true } or { ok: false, reason }; RPC errors are thrown.
+    const confirm = async (game, txHash) => {
+        if (game.settled && game.settleTxHash) {
+            return game.settleTxHash === txHash ? { ok: true } : { ok: false, reason: "Game already settled by another transaction" };
+        }
+
+        const settle = await chain.readSettleTx(txHash);
+        if (!settle) return { ok: false, reason: "Not a successful settle() transaction on the wager contract" };
+        if (settle.matchId !== game.matchId) return { ok: false, reason: "Transaction settles a different match" };
+        if (settle.winner !== game.winner) return { ok: false, reason: "Transaction pays a different winner" };
+
+        const wager = await chain.getWager(game.matchId);
+        if (!wager.settled) return { ok: false, reason: "Wager not settled on-chain yet" };
+
+        await record(game, settle);
+        return { ok: true };
+    };
+
+    // Reads the settled flag; returns true if the game was newly marked settled
+    const check = async (game) => {
+        if (!isTracked(game)) return false;
+
+        const wager = await chain.getWager(game.matchId);
+        if (!wager.settled) return false;
+
+        // Still settled without a hash if the log lookup comes up empty
+        const settle = await chain.findSettleTx(game.matchId, lookbackBlocks).catch(() => null);
+        await record(game, settle);
+        return true;
+    };
+
+    // A pass still waiting on a slow RPC makes the next tick skip rather than overlap it
+    let polling = false;
+    const poll = async () => {
+        if (polling) return;
+        polling = true;
+        try {
+            const oldest = Date.now() - maxAgeMs;
+            for (const game of await gamesDb.list()) {
+                if (!isTracked(game) || finishedAt(game) < oldest) continue;
+                await check(game).catch(e => console.error(`[SETTLE] ${game.matchId} check failed:`, e.shortMessage || e.message));
+            }
+        } finally {
+            polling = false;
+        }
+    };
+
+    const start = () => setInterval(() => {
+        poll().catch(e => console.error('[SETTLE] Poll failed:', e.message));
+    }, pollMs).unref();
+
+    return { confirm, check, start };
+};
+
+module.exports = { createSettlementTracker };
@@ -0,0 +1,89 @@
+const path = require('path');
+const { createLocalSigner } = require('./local');
+const { createKeystoreSigner } = require('./keystore');
+const { createRemoteSigner } = require('./remote');
+
+// ---------------------------------------------------------
+// SETTLEMENT SIGNERS
+// ---------------------------------------------------------
+// Every signer exposes the same interface:
+//   id       - '<type>:<address>', recorded on each game it signs
+//   address  - checksummed signer address
+//   signMessage(bytes)                     -> signature (personal_sign)
+//   signTypedData(domain, types, message)  -> signature (EIP-712)
+//
+// SIGNERS is a comma-separated list (default: "local"):
+//   local               PRIVATE_KEY
+//   local:<ENV_VAR>     key from another env var, e.g. local:PRIVATE_KEY_NEXT
+//   keystore:<path>     encrypted JSON keystore, password in SIGNER_KEYSTORE_PASSWORD
+//   remote:<url>        HTTP signing service, bearer token in SIGNER_REMOTE_TOKEN
+//
+// Several signers can be loaded at once for a key rotation: new signatures come
+// from whichever one the contract's trustedSigner() currently names (falling
+// back to the first), so pending wins can be re-signed once the contract moves
+// to the new key and nothing has to be redeployed mid-rotation.
+
+const TRUSTED_SIGNER_CACHE_MS = 60 * 1000;
+
+const parseSpecs = (value) => value.split(',')
+    .map(spec => spec.trim())
+    .filter(Boolean)
+    .map(spec => {
+        const colon = spec.indexOf(':');
+        return colon === -1
+            ? { type: spec.toLowerCase(), arg: null }
+            : { type: spec.slice(0, colon).toLowerCase(), arg: spec.slice(colon + 1) };
+    });
+
+const createSigner = async ({ type, arg }) => {
+    switch (type) {
+        case 'local': {
+            const envName = arg || 'PRIVATE_KEY';
+            if (!process.env[envName]) throw new Error(`${envName} not set in .env`);
+            return createLocalSigner(process.env[envName]);
+        }
+        case 'keystore':
+            if (!arg) throw new Error('keystore signer needs a path, e.g. keystore:./keys/signer.json');
+            return createKeystoreSigner(path.resolve(arg), process.env.SIGNER_KEYSTORE_PASSWORD);
+        case 'remote':
+            if (!arg) throw new Error('remote signer needs a URL, e.g. remote:http://127.0.0.1:8546');
+            return createRemoteSigner(arg, { token: process.env.SIGNER_REMOTE_TOKEN });
+        default:
+            throw new Error(`Unknown signer type "${type}" (expected "local", "keystore" or "remote")`);
+    }
+};
+
+// getTrustedSigner: () => Promise<address> (lib/chain)
+const createSigners = async ({ getTrustedSigner }) => {
+    const specs = parseSpecs(process.env.SIGNERS || 'local');
+    if (specs.length === 0) throw new Error('SIGNERS is empty');
+
+    const list = [];
+    for (const spec of specs) {
+        const signer = await createSigner(spec);
+        if (list.some(s => s.address === signer.address)) throw new Error(`Signer ${signer.address} configured twice`);
+        list.push(signer);
+    }
+
+    const byAddress = (address) => (address && list.find(s => s.address.toLowerCase() === address.toLowerCase())) || null;
+
+    let trusted = { address: null, checkedAt: 0 };
+
+    // The loaded signer the contract trusts right now, or the first one if none
+    // match or the RPC is down (signWinner then fails the escrow check anyway)
+    const active = async () => {
+        if (Date.now() - trusted.checkedAt >= TRUSTED_SIGNER_CACHE_MS) {
+            try {
+                trusted = { address: await getTrustedSigner(), checkedAt: Date.now() };
+            } catch (e) {
+                console.warn(`[SIGNER] trustedSigner() unavailable, keeping ${trusted.address || 'first signer'}: ${e.shortMessage || e.message}`);
+                trusted = { ...trusted, checkedAt: Date.now() };
+            }
+        }
+        return byAddress(trusted.address) || list[0];
+    };
+
+    return { list, active, byAddress };
+};
+
+module.exports = { createSigners };
@@ -0,0 +1,19 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { fromWallet } = require('./local');
+
+// ---------------------------------------------------------
+// ENCRYPTED KEYSTORE SIGNER
+// ---------------------------------------------------------
+// Standard encrypted JSON keystore (as written by geth, MetaMask export or
+// `ethers.Wallet.encrypt`). The key only exists decrypted in memory, so the
+// deploy secret is the password rather than the key itself.
+
+const createKeystoreSigner = async (filePath, password) => {
+    if (!password) throw new Error(`No password for keystore ${filePath} - set SIGNER_KEYSTORE_PASSWORD`);
+    const json = fs.readFileSync(filePath, 'utf8');
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+    return fromWallet(wallet, 'keystore');
+};
+
+module.exports = { createKeystoreSigner };
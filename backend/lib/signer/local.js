@@ -0,0 +1,25 @@
+const { ethers } = require('ethers');
+
+// ---------------------------------------------------------
+// LOCAL KEY SIGNER
+// ---------------------------------------------------------
+// Raw private key held in process memory (from an env var). Simplest option,
+// but the hot key lives in the server process.
+
+const createLocalSigner = (privateKey, { type = 'local' } = {}) => {
+    let key = privateKey.trim(); // Sanitize: remove whitespace/newlines. Never log any part of the key.
+    if (!key.startsWith('0x')) key = '0x' + key;
+    const wallet = new ethers.Wallet(key);
+    return fromWallet(wallet, type);
+};
+
+// Shared with the keystore signer: both end up with an ethers.Wallet in memory
+const fromWallet = (wallet, type) => ({
+    id: `${type}:${wallet.address}`,
+    type,
+    address: wallet.address,
+    signMessage: (bytes) => wallet.signMessage(bytes),
+    signTypedData: (domain, types, message) => wallet.signTypedData(domain, types, message)
+});
+
+module.exports = { createLocalSigner, fromWallet };
@@ -0,0 +1,64 @@
+const { ethers } = require('ethers');
+
+// ---------------------------------------------------------
+// REMOTE HTTP SIGNER
+// ---------------------------------------------------------
+// The key lives in a separate signing service; this process only holds a URL
+// and an optional bearer token. Protocol (JSON over HTTP):
+//
+//   GET  /address           -> { address }
+//   POST /sign/message      { data: 0x-hex bytes }            -> { signature }
+//   POST /sign/typed-data   { domain, types, message }        -> { signature }
+//
+// Every signature is checked against the service's address before use, so a
+// misbehaving service can't slip us signatures from another key.
+// remote_signer.js is a local stand-in that implements the same protocol.
+
+const REMOTE_TIMEOUT_MS = 5000;
+
+const createRemoteSigner = async (url, { token } = {}) => {
+    const baseUrl = url.replace(/\/+$/, '');
+
+    const call = async (path, body) => {
+        const res = await fetch(`${baseUrl}${path}`, {
+            method: body ? 'POST' : 'GET',
+            headers: {
+                ...(body ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(REMOTE_TIMEOUT_MS)
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(`Remote signer ${path} failed (${res.status}): ${data.error || res.statusText}`);
+        return data;
+    };
+
+    const { address: reported } = await call('/address');
+    if (!reported || !ethers.isAddress(reported)) throw new Error(`Remote signer at ${baseUrl} returned no valid address`);
+    const address = ethers.getAddress(reported);
+
+    const expectSigner = (recovered, what) => {
+        if (recovered.toLowerCase() !== address.toLowerCase()) {
+            throw new Error(`Remote signer returned a ${what} signature from ${recovered}, expected ${address}`);
+        }
+    };
+
+    return {
+        id: `remote:${address}`,
+        type: 'remote',
+        address,
+        async signMessage(bytes) {
+            const { signature } = await call('/sign/message', { data: ethers.hexlify(bytes) });
+            expectSigner(ethers.verifyMessage(bytes, signature), 'message');
+            return signature;
+        },
+        async signTypedData(domain, types, message) {
+            const { signature } = await call('/sign/typed-data', { domain, types, message });
+            expectSigner(ethers.verifyTypedData(domain, types, message, signature), 'typed data');
+            return signature;
+        }
+    };
+};
+
+module.exports = { createRemoteSigner };
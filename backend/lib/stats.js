@@ -0,0 +1,75 @@
+// ---------------------------------------------------------
+// PLAYER STATS & ELO
+// ---------------------------------------------------------
+// Updated once per COMPLETED game. Player record:
+// {
+//   address: string,
+//   rating: number (ELO, starts at 1200),
+//   wins: number,
+//   losses: number,
+//   drawsReset: number (draw rounds that reset the board),
+//   totalWon: string (wei paid out to this player as winner),
+//   recentMatches: Array<{ matchId, opponent, result: 'WON' | 'LOST', ratingChange, at }>,
+//   updatedAt: number (epoch ms)
+// }
+
+const START_RATING = 1200;
+const K_FACTOR = 32;
+const HOUSE_FEE_BPS = 500n;  // settle() pays the winner 95% of the pot
+const RECENT_LIMIT = 20;
+
+const newPlayer = (address) => ({
+    address,
+    rating: START_RATING,
+    wins: 0,
+    losses: 0,
+    drawsReset: 0,
+    totalWon: '0',
+    recentMatches: [],
+    updatedAt: Date.now()
+});
+
+// Expected score of a against b
+const expectedScore = (a, b) => 1 / (1 + 10 ** ((b - a) / 400));
+
+const createStats = (store) => {
+    const getOrCreate = async (address) => (await store.getPlayer(address)) || newPlayer(address);
+
+    // Applies a finished game to both players. Returns { [address]: ratingChange }.
+    const recordResult = async (game) => {
+        const winnerAddr = game.winner;
+        const loserAddr = winnerAddr === game.playerA ? game.playerB : game.playerA;
+        const [winner, loser] = await Promise.all([getOrCreate(winnerAddr), getOrCreate(loserAddr)]);
+
+        const change = Math.round(K_FACTOR * (1 - expectedScore(winner.rating, loser.rating)));
+        const draws = (game.roundResults || []).filter(r => !r.winner).length;
+        const payout = game.stake ? (BigInt(game.stake) * 2n * (10000n - HOUSE_FEE_BPS)) / 10000n : 0n;
+        const at = Date.now();
+
+        winner.rating += change;
+        winner.wins += 1;
+        winner.totalWon = (BigInt(winner.totalWon) + payout).toString();
+        loser.rating -= change;
+        loser.losses += 1;
+
+        for (const [player, opponent, result, delta] of [[winner, loserAddr, 'WON', change], [loser, winnerAddr, 'LOST', -change]]) {
+            player.drawsReset += draws;
+            player.recentMatches = [{ matchId: game.matchId, opponent, result, ratingChange: delta, at }, ...player.recentMatches].slice(0, RECENT_LIMIT);
+            player.updatedAt = at;
+        }
+
+        await Promise.all([store.savePlayer(winner), store.savePlayer(loser)]);
+        return { [winnerAddr]: change, [loserAddr]: -change };
+    };
+
+    const getProfile = async (address) => getOrCreate(address);
+
+    const getLeaderboard = async (limit) => (await store.listPlayers())
+        .sort((a, b) => b.rating - a.rating || b.wins - a.wins)
+        .slice(0, limit)
+        .map(({ recentMatches, ...player }, i) => ({ rank: i + 1, ...player }));
+
+    return { recordResult, getProfile, getLeaderboard };
+};
+
+module.exports = { createStats };
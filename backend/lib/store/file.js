@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+
+// ---------------------------------------------------------
+// FILE-BACKED GAME STORE
+// ---------------------------------------------------------
+// Keeps every record in memory for reads and rewrites one JSON file per
+// collection (games, players, tournaments) on each save. Writes go to a temp file first
+// and are renamed into place, so a crash mid-write never leaves a truncated file.
+//
+// Single instance only: the files are read once at startup and every save
+// rewrites the whole file, so two processes sharing them would never see each
+// other's games and the last writer would erase the other's records.
+
+const openCollection = (filePath, keyField) => {
+    const records = new Map();
+
+    if (fs.existsSync(filePath)) {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        for (const record of saved) records.set(record[keyField], record);
+    } else {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    // Chain writes so two saves never race on the same temp file. The chain
+    // continues from a settled promise, so one failed write only fails its own save.
+    let pending = Promise.resolve();
+    const flush = () => {
+        const snapshot = JSON.stringify(Array.from(records.values()));
+        const run = pending.then(async () => {
+            const tmpPath = `${filePath}.tmp`;
+            await fs.promises.writeFile(tmpPath, snapshot);
+            await fs.promises.rename(tmpPath, filePath);
+        });
+        pending = run.catch(() => {});
+        return run;
+    };
+
+    return { records, flush };
+};
+
+const createFileStore = (gamesPath, playersPath, tournamentsPath) => {
+    const games = openCollection(gamesPath, 'matchId');
+    const players = openCollection(playersPath, 'address');
+    const tournaments = openCollection(tournamentsPath, 'id');
+
+    return {
+        async get(matchId) {
+            return games.records.get(matchId) || null;
+        },
+        async has(matchId) {
+            return games.records.has(matchId);
+        },
+        async save(game) {
+            games.records.set(game.matchId, game);
+            await games.flush();
+            return game;
+        },
+        async delete(matchId) {
+            games.records.delete(matchId);
+            await games.flush();
+        },
+        async list() {
+            return Array.from(games.records.values());
+        },
+        async getPlayer(address) {
+            return players.records.get(address) || null;
+        },
+        async savePlayer(player) {
+            players.records.set(player.address, player);
+            await players.flush();
+            return player;
+        },
+        async listPlayers() {
+            return Array.from(players.records.values());
+        },
+        async getTournament(id) {
+            return tournaments.records.get(id) || null;
+        },
+        async saveTournament(tournament) {
+            tournaments.records.set(tournament.id, tournament);
+            await tournaments.flush();
+            return tournament;
+        },
+        async listTournaments() {
+            return Array.from(tournaments.records.values());
+        }
+    };
+};
+
+module.exports = { createFileStore };
@@ -0,0 +1,45 @@
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+const { createFileStore } = require('./file');
+
+// ---------------------------------------------------------
+// GAME STORE
+// ---------------------------------------------------------
+// Every adapter exposes the same async interface:
+//   get(matchId) -> game | null
+//   has(matchId) -> boolean
+//   save(game)   -> game
+//   delete(matchId)
+//   list()       -> game[]
+// plus per-address player stats (see lib/stats):
+//   getPlayer(address) -> player | null
+//   savePlayer(player) -> player
+//   listPlayers()      -> player[]
+// and tournaments (see lib/tournaments):
+//   getTournament(id)          -> tournament | null
+//   saveTournament(tournament) -> tournament
+//   listTournaments()          -> tournament[]
+//
+// Picked with GAME_STORE=memory|file (default: memory).
+// The file adapter writes to GAME_STORE_PATH (default: ./data/games.json)
+// PLAYER_STORE_PATH (default: players.json next to the games file) and
+// TOURNAMENT_STORE_PATH (default: tournaments.json next to the games file).
+
+const createStore = () => {
+    const type = (process.env.GAME_STORE || 'memory').toLowerCase();
+
+    switch (type) {
+        case 'memory':
+            return createMemoryStore();
+        case 'file': {
+            const gamesPath = process.env.GAME_STORE_PATH || path.join(__dirname, '..', '..', 'data', 'games.json');
+            const playersPath = process.env.PLAYER_STORE_PATH || path.join(path.dirname(gamesPath), 'players.json');
+            const tournamentsPath = process.env.TOURNAMENT_STORE_PATH || path.join(path.dirname(gamesPath), 'tournaments.json');
+            return createFileStore(gamesPath, playersPath, tournamentsPath);
+        }
+        default:
+            throw new Error(`Unknown GAME_STORE "${type}" (expected "memory" or "file")`);
+    }
+};
+
+module.exports = { createStore };
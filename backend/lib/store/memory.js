@@ -0,0 +1,52 @@
+// ---------------------------------------------------------
+// IN-MEMORY GAME STORE
+// ---------------------------------------------------------
+// Games live only as long as the process. Fine for local dev,
+// but every restart drops live matches.
+
+const createMemoryStore = () => {
+    const games = new Map();
+    const players = new Map();
+    const tournaments = new Map();
+
+    return {
+        async get(matchId) {
+            return games.get(matchId) || null;
+        },
+        async has(matchId) {
+            return games.has(matchId);
+        },
+        async save(game) {
+            games.set(game.matchId, game);
+            return game;
+        },
+        async delete(matchId) {
+            games.delete(matchId);
+        },
+        async list() {
+            return Array.from(games.values());
+        },
+        async getPlayer(address) {
+            return players.get(address) || null;
+        },
+        async savePlayer(player) {
+            players.set(player.address, player);
+            return player;
+        },
+        async listPlayers() {
+            return Array.from(players.values());
+        },
+        async getTournament(id) {
+            return tournaments.get(id) || null;
+        },
+        async saveTournament(tournament) {
+            tournaments.set(tournament.id, tournament);
+            return tournament;
+        },
+        async listTournaments() {
+            return Array.from(tournaments.values());
+        }
+    };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+
+// ---------------------------------------------------------
+// SINGLE-ELIMINATION TOURNAMENTS
+// ---------------------------------------------------------
+// Tournament record:
+// {
+//   id: string (8 hex chars),
+//   name: string,
+//   organizer: string (address that created it),
+//   status: 'RUNNING' | 'COMPLETED',
+//   settings: { stake (wei), gameType, boardSize, winLength, bestOf, moveTimeoutMs },
+//   players: Array<{ address, seed, rating }> (seed 1 = favourite),
+//   rounds: Array<Array<{ playerA, playerB, matchId, winner, bye, walkover }>>
+//           (first round first; match i of round r+1 is fed by matches 2i and 2i+1 of round r),
+//   champion: string (address) | null,
+//   createdAt: number (epoch ms),
+//   completedAt: number (epoch ms) | null
+// }
+//
+// The bracket is padded to the next power of two and seeded the usual way
+// (1 v 8, 4 v 5, 2 v 7, 3 v 6), so byes go to the top seeds and favourites
+// can only meet late. Every bracket match with both players gets a real wagered
+// game from createMatch(); recordResult() moves the winner on once it completes.
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 64;
+
+// Seed numbers in bracket order for a bracket of `size` (a power of two)
+const bracketOrder = (size) => {
+    let order = [1];
+    while (order.length < size) {
+        const total = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, total - seed]);
+    }
+    return order;
+};
+
+const emptyMatch = () => ({ playerA: null, playerB: null, matchId: null, winner: null, bye: false, walkover: false });
+
+const createTournaments = ({ store, getRating, createMatch }) => {
+    // One update at a time, so two games finishing together can't both schedule the next match
+    let updates = Promise.resolve();
+    const serialize = (fn) => {
+        const run = updates.then(fn);
+        updates = run.catch(() => {});
+        return run;
+    };
+
+    const seedOf = (t, address) => t.players.find(p => p.address === address).seed;
+
+    // Puts the winner of rounds[r][i] into the next round, or crowns the champion
+    const advance = (t, r, i, winner) => {
+        t.rounds[r][i].winner = winner;
+        if (r === t.rounds.length - 1) {
+            t.status = 'COMPLETED';
+            t.champion = winner;
+            t.completedAt = Date.now();
+            return;
+        }
+        const next = t.rounds[r + 1][Math.floor(i / 2)];
+        if (i % 2 === 0) next.playerA = winner;
+        else next.playerB = winner;
+    };
+
+    // Creates the game for every bracket match that has both players but no game yet.
+    // The better seed is the game's playerA: they lock the stake first and move first.
+    const scheduleMatches = async (t) => {
+        for (let r = 0; r < t.rounds.length; r++) {
+            for (let i = 0; i < t.rounds[r].length; i++) {
+                const match = t.rounds[r][i];
+                if (!match.playerA || !match.playerB || match.matchId || match.winner) continue;
+                const [playerA, playerB] = [match.playerA, match.playerB].sort((a, b) => seedOf(t, a) - seedOf(t, b));
+                const game = await createMatch(t, { round: r, slot: i, playerA, playerB });
+                match.matchId = game.matchId;
+            }
+        }
+    };
+
+    const newId = async () => {
+        let id;
+        do {
+            id = crypto.randomBytes(4).toString('hex');
+        } while (await store.getTournament(id));
+        return id;
+    };
+
+    // players: distinct addresses, in registration order. seeding: 'rating' (ELO, ties
+    // keep registration order) or 'listed' (registration order is the seeding).
+    const create = ({ name, organizer, players, seeding = 'rating', settings }) => serialize(async () => {
+        const ratings = await Promise.all(players.map(getRating));
+        const entrants = players.map((address, i) => ({ address, rating: ratings[i], listed: i }));
+        if (seeding === 'rating') entrants.sort((a, b) => b.rating - a.rating || a.listed - b.listed);
+        const seeded = entrants.map(({ address, rating }, i) => ({ address, seed: i + 1, rating }));
+
+        let size = 2;
+        while (size < seeded.length) size *= 2;
+        const order = bracketOrder(size);
+        const addressOf = (seed) => (seeded[seed - 1] ? seeded[seed - 1].address : null);
+
+        const rounds = [];
+        for (let matches = size / 2; matches >= 1; matches /= 2) {
+            rounds.push(Array.from({ length: matches }, emptyMatch));
+        }
+        rounds[0].forEach((match, i) => {
+            match.playerA = addressOf(order[2 * i]);
+            match.playerB = addressOf(order[2 * i + 1]);
+        });
+
+        const t = {
+            id: await newId(),
+            name,
+            organizer,
+            status: 'RUNNING',
+            settings,
+            players: seeded,
+            rounds,
+            champion: null,
+            createdAt: Date.now(),
+            completedAt: null
+        };
+
+        // Byes (always in the lower slot) go straight through
+        rounds[0].forEach((match, i) => {
+            if (match.playerB) return;
+            match.bye = true;
+            advance(t, 0, i, match.playerA);
+        });
+
+        await scheduleMatches(t);
+        return store.saveTournament(t);
+    });
+
+    // Bracket position of a game: { round, slot, match } or null
+    const findMatch = (t, matchId) => {
+        for (let round = 0; round < t.rounds.length; round++) {
+            const slot = t.rounds[round].findIndex(m => m.matchId === matchId);
+            if (slot !== -1) return { round, slot, match: t.rounds[round][slot] };
+        }
+        return null;
+    };
+
+    // A tournament game completed: its winner moves on. Returns the tournament, or null
+    // if the game isn't (or is no longer) an open match of one.
+    const recordResult = (game) => serialize(async () => {
+        if (!game.tournament || !game.winner) return null;
+        const t = await store.getTournament(game.tournament.id);
+        const found = t && findMatch(t, game.matchId);
+        if (!found || found.match.winner) return null;
+
+        advance(t, found.round, found.slot, game.winner);
+        await scheduleMatches(t);
+        return store.saveTournament(t);
+    });
+
+    // Organizer's call on a match that never started (e.g. a no-show).
+    // Returns { ok: true, tournament } or { ok: false, reason }.
+    const walkover = (t, matchId, winner) => serialize(async () => {
+        const found = findMatch(t, matchId);
+        if (!found) return { ok: false, reason: "Game is not part of this tournament" };
+        if (found.match.winner) return { ok: false, reason: "Match already decided" };
+        if (winner !== found.match.playerA && winner !== found.match.playerB) return { ok: false, reason: "Winner must be one of the two players" };
+
+        found.match.walkover = true;
+        advance(t, found.round, found.slot, winner);
+        await scheduleMatches(t);
+        return { ok: true, tournament: await store.saveTournament(t) };
+    });
+
+    const get = (id) => store.getTournament(id);
+
+    const list = async () => (await store.listTournaments()).sort((a, b) => b.createdAt - a.createdAt);
+
+    return { create, recordResult, walkover, findMatch, get, list };
+};
+
+module.exports = { createTournaments, MIN_PLAYERS, MAX_PLAYERS };
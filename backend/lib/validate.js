@@ -0,0 +1,74 @@
+const { ethers } = require('ethers');
+const { sendError } = require('./errors');
+
+// ---------------------------------------------------------
+// REQUEST VALIDATION
+// ---------------------------------------------------------
+// validate({ body, params, query }) builds a middleware that checks each listed
+// field against a rule and replaces it with the normalized value (addresses
+// lowercased, numeric strings turned into numbers). Unlisted fields are ignored.
+//
+//   app.post('/makeMove', validate({ body: { matchId: rules.matchId, index: rules.int(0, 48) } }), ...)
+
+const MATCH_ID = /^\d{6}$/;
+const HEX = /^0x[0-9a-fA-F]*$/;
+const TX_HASH = /^0x[0-9a-fA-F]{64}$/;
+const TOURNAMENT_ID = /^[0-9a-f]{8}$/;
+const WEI = /^[0-9]{1,30}$/;
+
+const rule = (check, message, normalize = (value) => value) => ({ check, message, normalize, required: true });
+
+const isNumeric = (value) => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '');
+
+const rules = {
+    matchId: rule(v => typeof v === 'string' && MATCH_ID.test(v), "must be a 6-digit match ID"),
+    address: rule(v => typeof v === 'string' && ethers.isAddress(v), "must be a 0x address", v => v.toLowerCase()),
+    signature: rule(v => typeof v === 'string' && HEX.test(v) && v.length <= 1024, "must be a hex signature"),
+    passcode: rule(v => typeof v === 'string' && v.length >= 4 && v.length <= 64, "must be 4-64 characters"),
+    tournamentId: rule(v => typeof v === 'string' && TOURNAMENT_ID.test(v), "must be an 8-character tournament ID"),
+    wei: rule(v => typeof v === 'string' && WEI.test(v) && BigInt(v) > 0n, "must be a positive amount in wei (as a string)"),
+    text: (max) => rule(v => typeof v === 'string' && v.trim() !== '' && v.length <= max, `must be text of at most ${max} characters`, v => v.trim()),
+    // Distinct addresses, lowercased
+    addresses: (min, max) => rule(
+        v => Array.isArray(v) && v.length >= min && v.length <= max
+            && v.every(a => typeof a === 'string' && ethers.isAddress(a))
+            && new Set(v.map(a => a.toLowerCase())).size === v.length,
+        `must be a list of ${min}-${max} distinct 0x addresses`,
+        v => v.map(a => a.toLowerCase())
+    ),
+    txHash: rule(v => typeof v === 'string' && TX_HASH.test(v), "must be a 0x transaction hash", v => v.toLowerCase()),
+    int: (min, max) => rule(
+        v => isNumeric(v) && Number.isInteger(Number(v)) && Number(v) >= min && Number(v) <= max,
+        `must be an integer between ${min} and ${max}`,
+        Number
+    ),
+    oneOf: (values) => rule(v => values.includes(v), `must be one of ${values.join(', ')}`),
+    optional: (r) => ({ ...r, required: false })
+};
+
+const validate = (schema) => (req, res, next) => {
+    const fields = {};
+    for (const source of ['params', 'query', 'body']) {
+        const input = req[source] || {};
+        for (const [name, r] of Object.entries(schema[source] || {})) {
+            const value = input[name];
+            if (value === undefined || value === null || value === '') {
+                if (r.required) fields[name] = "is required";
+                continue;
+            }
+            if (!r.check(value)) {
+                fields[name] = r.message;
+                continue;
+            }
+            input[name] = r.normalize(value);
+        }
+    }
+
+    const names = Object.keys(fields);
+    if (names.length) {
+        return sendError(res, 400, 'VALIDATION_FAILED', `${names[0]} ${fields[names[0]]}`, { fields });
+    }
+    next();
+};
+
+module.exports = { rules, validate };
@@ -0,0 +1,54 @@
+require('dotenv').config();
+const express = require('express');
+const { ethers } = require('ethers');
+
+// ---------------------------------------------------------
+// LOCAL REMOTE-SIGNER STAND-IN
+// ---------------------------------------------------------
+// Implements the protocol from lib/signer/remote.js with a key from
+// SIGNER_SERVICE_KEY, for development and testing only. A real deployment
+// points SIGNERS=remote:<url> at a KMS/HSM-backed service instead.
+//
+//   SIGNER_SERVICE_KEY=0x... SIGNER_REMOTE_TOKEN=secret node remote_signer.js
+//   SIGNERS=remote:http://127.0.0.1:8546 SIGNER_REMOTE_TOKEN=secret node server.js
+
+const PORT = process.env.SIGNER_SERVICE_PORT || 8546;
+const TOKEN = process.env.SIGNER_REMOTE_TOKEN;
+
+if (!process.env.SIGNER_SERVICE_KEY) {
+    console.error("ERROR: SIGNER_SERVICE_KEY not set");
+    process.exit(1);
+}
+const wallet = new ethers.Wallet(process.env.SIGNER_SERVICE_KEY.trim());
+
+const app = express();
+app.use(express.json());
+
+app.use((req, res, next) => {
+    if (TOKEN && req.get('Authorization') !== `Bearer ${TOKEN}`) return res.status(401).json({ error: "Bad token" });
+    next();
+});
+
+app.get('/address', (req, res) => res.json({ address: wallet.address }));
+
+app.post('/sign/message', async (req, res) => {
+    const { data } = req.body;
+    if (typeof data !== 'string' || !ethers.isHexString(data)) return res.status(400).json({ error: "data must be 0x-hex" });
+    console.log(`[SIGNER] message ${data.slice(0, 18)}...`);
+    res.json({ signature: await wallet.signMessage(ethers.getBytes(data)) });
+});
+
+app.post('/sign/typed-data', async (req, res) => {
+    const { domain, types, message } = req.body;
+    if (!domain || !types || !message) return res.status(400).json({ error: "domain, types and message are required" });
+    try {
+        console.log(`[SIGNER] typed data ${Object.keys(types).join(',')} for ${domain.verifyingContract}`);
+        res.json({ signature: await wallet.signTypedData(domain, types, message) });
+    } catch (e) {
+        res.status(400).json({ error: e.shortMessage || e.message });
+    }
+});
+
+app.listen(PORT, '127.0.0.1', () => {
+    console.log(`Remote signer stand-in for ${wallet.address} on http://127.0.0.1:${PORT}`);
+});
@@ -1,12 +1,32 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const { ethers } = require('ethers');
+const { issueNonce, verifySignature, issueGuestSession, requireSession, requireWallet, optionalSession } = require('./lib/auth');
+const { createStore } = require('./lib/store');
+const { createStats } = require('./lib/stats');
+const { createMetrics } = require('./lib/metrics');
+const realtime = require('./lib/realtime');
+const { createChain } = require('./lib/chain');
+const { loadNetwork } = require('./lib/network');
+const { createSigners } = require('./lib/signer');
+const { createSettlementTracker } = require('./lib/settlements');
+const { createTournaments, MIN_PLAYERS, MAX_PLAYERS } = require('./lib/tournaments');
+const ai = require('./lib/ai');
+const { sendError, errorHandler, asyncHandler } = require('./lib/errors');
+const { rules, validate } = require('./lib/validate');
+const { createRateLimiter, byIp, byPlayer } = require('./lib/ratelimit');
+const { SETTLEMENT_TYPES, buildSettlementDomain, legacySettlementHash } = require('../shared/settlement.js');
+const { buildMoveDomain, genesisStateHash, nextStateHash, moveMessage, recoverMoveSigner } = require('../shared/transcript.js');
+const { GAME_TYPES, getWinningLines, checkWin, otherPlayer, nextDeadline, validateMove, applyMove, newBoardState } = require('../shared/engine.js');
 
 const app = express();
+// Cloud Run sits one proxy hop in front of us - needed for per-IP rate limits
+if (process.env.NODE_ENV === 'production') app.set('trust proxy', 1);
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '16kb' }));
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -15,164 +35,1230 @@ if (process.env.NODE_ENV === 'production') {
 
 const PORT = process.env.PORT || 3000;
 
+// Per-move clock. Creators may pick their own within the bounds.
+const DEFAULT_MOVE_TIMEOUT_MS = Number(process.env.MOVE_TIMEOUT_MS) || 60 * 1000;
+const MIN_MOVE_TIMEOUT_MS = 10 * 1000;
+const MAX_MOVE_TIMEOUT_MS = 10 * 60 * 1000;
+
+const SERIES_LENGTHS = [1, 3, 5];
+
+// Unjoined games are cancelled after this long (creator then refunds via cancelWager)
+const WAITING_TTL_MS = Number(process.env.WAITING_TTL_MS) || 60 * 60 * 1000;
+
+// How long a typed settlement attestation stays valid
+const SETTLEMENT_TTL_SEC = Number(process.env.SETTLEMENT_TTL_SEC) || 7 * 24 * 60 * 60;
+
+const MIN_BOARD_SIZE = 3;
+const MAX_BOARD_SIZE = 7;
+const MAX_CELLS = 81; // Ultimate: nine 3x3 sub-boards
+
+// Rate limits (per instance, fixed one-minute windows unless noted)
+const apiLimit = createRateLimiter({ name: 'api', windowMs: 60 * 1000, max: 300 });       // per IP, every route
+const authLimit = createRateLimiter({ name: 'auth', windowMs: 60 * 1000, max: 20 });      // per IP, sign-in + guest seats
+const actionLimit = createRateLimiter({ name: 'action', windowMs: 60 * 1000, max: 60 });  // per address, game actions
+// Lookups of match IDs that don't exist, per IP over 10 minutes - stops ID enumeration
+const lookupMisses = createRateLimiter({ name: 'lookup', windowMs: 10 * 60 * 1000, max: 30 });
+// Wrong invite passcodes, per address over 10 minutes - stops guessing
+const passcodeMisses = createRateLimiter({ name: 'passcode', windowMs: 10 * 60 * 1000, max: 10 });
+
+// On-chain claim tracking: how often unclaimed wins are re-read, for how long after
+// the game ends, and how far back to search the contract logs for a settle() made
+// outside our frontend
+const SETTLEMENT_POLL_MS = Number(process.env.SETTLEMENT_POLL_MS) || 30 * 1000;
+const SETTLEMENT_TRACK_MS = Number(process.env.SETTLEMENT_TRACK_MS) || 7 * 24 * 60 * 60 * 1000;
+const SETTLEMENT_LOOKBACK_BLOCKS = Number(process.env.SETTLEMENT_LOOKBACK_BLOCKS) || 5000;
+
+// Practice games: the server plays playerB under this id. Abandoned ones are deleted.
+const AI_PLAYER = 'ai';
+const PRACTICE_TTL_MS = 60 * 60 * 1000;
+
 // ---------------------------------------------------------
-// IN-MEMORY DATABASE
+// GAME STORE (see lib/store - memory or file, via GAME_STORE)
 // ---------------------------------------------------------
 // Key: matchId (string)
 // Value: {
 //   matchId: string,
 //   playerA: string (address),
 //   playerB: string (address),
-//   board: Array(9).fill(null), // Indices 0-8
+//   gameType: 'classic' | 'ultimate' (missing on older games = classic),
+//   board: Array(boardSize * boardSize).fill(null), // Row-major, 0-8 on a 3x3
+//          (ultimate: 81 cells, sub-board by sub-board - index = subBoard * 9 + cell)
+//   subBoardWinners: Array(9) of 'X' | 'O' | 'DRAW' | null (ultimate only),
+//   activeSubBoard: number (0-8, the sub-board the player to move must use) | null (any - ultimate only),
 //   turn: string (address of current player),
 //   winner: string (address) | 'DRAW' | null,
-//   status: 'WAITING' | 'PLAYING' | 'COMPLETED',
-//   signature: string | null
+//   status: 'WAITING' | 'PLAYING' | 'COMPLETED' | 'CANCELLED',
+//   signature: string | null,
+//   stake: string (wei, read from wagers(matchId) on join; a rematch starts with the previous stake) | null,
+//   moveTimeoutMs: number (time allowed per move),
+//   turnDeadline: number (epoch ms the current turn expires) | null,
+//   endReason: 'LINE' | 'TIMEOUT' | 'CANCELLED' | 'EXPIRED' | 'WALKOVER' | null,
+//   round: number (starts at 1, +1 on every draw reset),
+//   moves: Array<{ player, index, symbol, round, at, moveNumber, prevStateHash, stateHash, signature }>
+//          (the last four only on games with a signed transcript),
+//   stateHash: string | null (head of the signed move chain - set when a wagered game
+//              starts, see shared/transcript.js; missing on older games and practice),
+//   createdAt: number (epoch ms),
+//   cancelledAt: number (epoch ms) | null,
+//   bestOf: 1 | 3 | 5 (series length),
+//   seriesWins: { playerA: number, playerB: number },
+//   roundStarter: string (address that moved first this round),
+//   roundResults: Array<{ round, winner: address | null (draw) }>,
+//   boardSize: number (N for an NxN board),
+//   winLength: number (k in a row to win),
+//   ratingChange: { [address]: number } | null (ELO delta, set once stats are recorded),
+//   typedSettlement: { domain, message: { matchId, winner, nonce, deadline }, signature } | null
+//                    (EIP-712 attestation issued alongside the legacy `signature`)
+//   signerId: string | null ('<type>:<address>' of the signer that produced `signature`),
+//   signerAddress: string | null,
+//   settled: boolean (wagers(matchId).settled seen on-chain - the winner has claimed),
+//   settleTxHash: string | null (the settle() transaction, if known),
+//   settledAt: number (epoch ms, block time when known) | null,
+//   private: boolean (invite only - hidden from the lobby),
+//   invitedOpponent: string (address) | null (the only address allowed to join),
+//   passcodeHash: string | null ('<salt>:<sha256>' of the invite passcode - never sent to clients),
+//   rematch: { offeredBy: address, offeredAt: number, matchId: string | null, playerA: address | null, stake: string } | null
+//            (COMPLETED games: a pending offer, then the linked new match once accepted),
+//   rematchOf: string (matchId) | null (the match this one is a rematch of),
+//   tournament: { id, round, slot } | null (bracket position - see lib/tournaments),
+//   practice: boolean (free game against the server AI - no stake, never signed),
+//   difficulty: 'random' | 'easy' | 'medium' | 'perfect' | null (practice only)
 // }
-const gamesDb = new Map();
-
-// Load Private Key
-let PRIVATE_KEY = process.env.PRIVATE_KEY;
-if (!PRIVATE_KEY) {
-    console.error("ERROR: PRIVATE_KEY not set in .env");
+let gamesDb;
+try {
+    gamesDb = createStore();
+} catch (error) {
+    console.error("[FATAL] Failed to open game store:", error.message);
     process.exit(1);
 }
+const stats = createStats(gamesDb);
 
-// Sanitize: remove whitespace/newlines
-PRIVATE_KEY = PRIVATE_KEY.trim();
-
-// Debug logging (safe)
-console.log(`[DEBUG] Key Length: ${PRIVATE_KEY.length}`);
-console.log(`[DEBUG] Key Start: ${PRIVATE_KEY.substring(0, 4)}...`);
-console.log(`[DEBUG] Key End: ...${PRIVATE_KEY.substring(PRIVATE_KEY.length - 4)}`);
+// What clients see of a game: everything but the passcode hash
+const publicGame = ({ passcodeHash, ...game }) => game;
+const publish = (game) => realtime.publish(publicGame(game));
 
-if (!PRIVATE_KEY.startsWith('0x')) {
-    console.log("[DEBUG] Appending '0x' prefix");
-    PRIVATE_KEY = '0x' + PRIVATE_KEY;
-}
+const metrics = createMetrics({
+    games_created_total: 'Games created, by mode (wager | rematch | practice)',
+    games_joined_total: 'Wagered games that started after the escrow check',
+    games_completed_total: 'Games completed, by end reason',
+    games_cancelled_total: 'Games cancelled or expired, by reason',
+    moves_total: 'Moves played, including the practice AI',
+    signatures_issued_total: 'Settlement signatures issued, by signer',
+    signing_failures_total: 'Settlement signing attempts that failed, by reason (escrow | error)',
+    settlements_total: 'Wagered games seen settled on-chain',
+    tournaments_created_total: 'Tournaments created'
+});
 
-let SIGNER_WALLET;
+// Network profile (chain ID, RPC, contract) - see shared/networks.json
+let chain;
 try {
-    SIGNER_WALLET = new ethers.Wallet(PRIVATE_KEY);
-    console.log(`[SUCCESS] Wallet loaded: ${SIGNER_WALLET.address}`);
+    chain = createChain(loadNetwork());
+    console.log(`[NETWORK] ${chain.network.name} (chainId ${chain.network.chainId}) contract ${chain.network.contractAddress}`);
 } catch (error) {
-    console.error("[FATAL] Failed to create wallet:", error.message);
+    console.error("[FATAL] Failed to load network profile:", error.message);
     process.exit(1);
 }
 
+// Players sign their moves under this EIP-712 domain (see shared/transcript.js)
+const moveDomain = buildMoveDomain(chain.network.chainId, chain.network.contractAddress);
+
+// Claim tracking reads the chain through SETTLEMENT_RPC_URL when set (e.g. a
+// node that keeps more log history), else through the main provider
+const settlements = createSettlementTracker({
+    chain: process.env.SETTLEMENT_RPC_URL ? createChain({ ...chain.network, rpcUrl: process.env.SETTLEMENT_RPC_URL }) : chain,
+    gamesDb,
+    pollMs: SETTLEMENT_POLL_MS,
+    maxAgeMs: SETTLEMENT_TRACK_MS,
+    lookbackBlocks: SETTLEMENT_LOOKBACK_BLOCKS,
+    onSettled: (game) => {
+        console.log(`[SETTLE] ${game.matchId} claimed by ${game.winner}${game.settleTxHash ? ` in ${game.settleTxHash}` : ''}`);
+        metrics.inc('settlements_total');
+        publish(game);
+    }
+});
+
+// Tournaments (see lib/tournaments). Their matches are ordinary private wagered
+// games for the tournament's stake, with the better seed as playerA.
+const tournaments = createTournaments({
+    store: gamesDb,
+    getRating: async (address) => (await stats.getProfile(address)).rating,
+    createMatch: async (t, { round, slot, playerA, playerB }) => {
+        const { stake, gameType, boardSize, winLength, bestOf, moveTimeoutMs } = t.settings;
+        const game = await createWaitingGame({
+            playerA,
+            moveTimeoutMs,
+            bestOf,
+            gameType,
+            boardSize,
+            winLength,
+            invitedOpponent: playerB,
+            stake,
+            tournament: { id: t.id, round, slot }
+        });
+        console.log(`[TOURNAMENT] ${t.id} round ${round + 1}: ${game.matchId} ${playerA} v ${playerB}`);
+        publish(game);
+        return game;
+    }
+});
+
+// Settlement signers (local key, keystore or remote service - see lib/signer).
+// Loaded asynchronously; the server starts listening once they're ready.
+let signers;
+
 // ---------------------------------------------------------
 // HELPER FUNCTIONS
 // ---------------------------------------------------------
-const checkWin = (board) => {
-    const lines = [
-        [0, 1, 2], [3, 4, 5], [6, 7, 8], // Rows
-        [0, 3, 6], [1, 4, 7], [2, 5, 8], // Cols
-        [0, 4, 8], [2, 4, 6]             // Diagonals
-    ];
-    for (let i = 0; i < lines.length; i++) {
-        const [a, b, c] = lines[i];
-        if (board[a] && board[a] === board[b] && board[a] === board[c]) {
-            return board[a]; // 'X' or 'O'
+// Game rules (winning lines, move validation, round/series resolution) live in
+// shared/engine.js so the frontend can run them too.
+
+// Signs the settlement for game.winner, but only while the on-chain escrow
+// still matches the game. On failure game.signature stays null and the
+// winner can retry through /claimSignature.
+const signWinner = async (game) => {
+    if (game.status !== 'COMPLETED' || !game.winner || game.practice) return false;
+
+    const escrow = await chain.verifyEscrow(game);
+    if (!escrow.ok) {
+        console.error(`[CHAIN] ${game.matchId} not signed: ${escrow.reason}`);
+        metrics.inc('signing_failures_total', { reason: 'escrow' });
+        return false;
+    }
+
+    try {
+        const { chainId, contractAddress } = chain.network;
+        const signer = await signers.active();
+
+        // Legacy format - what UlaniWager.settle() verifies today
+        const messageHash = legacySettlementHash(ethers, chainId, game.matchId, game.winner);
+        const signature = await signer.signMessage(ethers.getBytes(messageHash));
+
+        // EIP-712 attestation with expiry and a single-use nonce
+        const domain = buildSettlementDomain(chainId, contractAddress);
+        const message = {
+            matchId: game.matchId,
+            winner: ethers.getAddress(game.winner),
+            nonce: BigInt('0x' + crypto.randomBytes(16).toString('hex')).toString(),
+            deadline: Math.floor(Date.now() / 1000) + SETTLEMENT_TTL_SEC
+        };
+        const typedSignature = await signer.signTypedData(domain, SETTLEMENT_TYPES, message);
+
+        // Only replace the stored pair once both signatures came back
+        game.signature = signature;
+        game.typedSettlement = { domain, message, signature: typedSignature };
+        game.signerId = signer.id;
+        game.signerAddress = signer.address;
+        metrics.inc('signatures_issued_total', { signer: signer.id });
+        return true;
+    } catch (e) {
+        console.error("Signing failed", e);
+        metrics.inc('signing_failures_total', { reason: 'error' });
+        return false;
+    }
+};
+
+// Everything that happens once a game is COMPLETED: settlement signature and player stats
+const finishGame = async (game) => {
+    if (game.practice) return;
+    await signWinner(game);
+    if (!game.ratingChange) {
+        try {
+            game.ratingChange = await stats.recordResult(game);
+        } catch (e) {
+            console.error(`[STATS] ${game.matchId} not recorded`, e);
         }
     }
+    if (game.tournament) {
+        await tournaments.recordResult(game).catch(e => console.error(`[TOURNAMENT] ${game.matchId} winner not advanced`, e));
+    }
+};
+
+// Links the move just played into the game's signed transcript
+const recordSignedMove = (game, signature) => {
+    const move = game.moves[game.moves.length - 1];
+    move.moveNumber = game.moves.length;
+    move.prevStateHash = game.stateHash;
+    move.stateHash = nextStateHash(ethers, game.stateHash, move);
+    move.signature = signature;
+    game.stateHash = move.stateHash;
+};
+
+// Referees one validated move through the engine, then does the server-side
+// part: transcript, logging, and settlement signature + stats once the match is won.
+const playMove = async (game, player, index, signature = null) => {
+    const { game: next, result } = applyMove(game, player, index, {
+        now: Date.now(),
+        defaultMoveTimeoutMs: DEFAULT_MOVE_TIMEOUT_MS
+    });
+    if (game.stateHash) recordSignedMove(next, signature);
+    metrics.inc('moves_total');
+
+    if (result.type === 'WIN') {
+        console.log(`[GAME] ${next.matchId} WON by ${next.winner}`);
+        metrics.inc('games_completed_total', { reason: 'LINE' });
+        // Stored as COMPLETED before the slow part (escrow read, signing), so the
+        // turn timer can't forfeit the match to the other player meanwhile
+        await gamesDb.save(next);
+        await finishGame(next); // AUTO-SIGN + stats
+    } else if (result.type === 'ROUND') {
+        console.log(`[GAME] ${next.matchId} round ${game.round || 1} won by ${result.winner} (${next.seriesWins.playerA}-${next.seriesWins.playerB})`);
+    } else if (result.type === 'DRAW') {
+        console.log(`[GAME] ${next.matchId} DRAW - Resetting board for next round`);
+    }
+    return next;
+};
+
+// In practice games the server answers for playerB until it's the human's turn again
+const playAiTurns = async (game) => {
+    const size = game.boardSize || 3;
+    const k = game.winLength || 3;
+    while (game.practice && game.status === 'PLAYING' && game.turn === AI_PLAYER) {
+        const index = ai.chooseMove({
+            board: game.board,
+            lines: getWinningLines(size, k),
+            checkWin: (board) => checkWin(board, size, k),
+            me: 'O',
+            difficulty: game.difficulty
+        });
+        game = await playMove(game, AI_PLAYER, index);
+    }
+    return game;
+};
+
+// Current turn player ran out of time: the opponent wins and gets a settlement signature
+const forfeitOnTimeout = async (game) => {
+    game.status = 'COMPLETED';
+    game.winner = otherPlayer(game, game.turn);
+    game.endReason = 'TIMEOUT';
+    game.turnDeadline = null;
+    console.log(`[GAME] ${game.matchId} ${game.turn} TIMED OUT - ${game.winner} wins`);
+    metrics.inc('games_completed_total', { reason: 'TIMEOUT' });
+
+    await finishGame(game);
+    await gamesDb.save(game);
+    publish(game);
+};
+
+// Both deposits are locked: seat playerB and start the clock
+const startMatch = async (game, playerB, wager) => {
+    game.playerB = playerB;
+    game.stake = wager.stake;
+    game.status = 'PLAYING';
+    game.stateHash = genesisStateHash(ethers, game);
+    game.turnDeadline = nextDeadline(game, Date.now(), DEFAULT_MOVE_TIMEOUT_MS);
+    await gamesDb.save(game);
+    publish(game);
+
+    console.log(`[GAME] ${playerB} joined ${game.matchId}`);
+    metrics.inc('games_joined_total');
+};
+
+// A cancelled game is never joinable or signable again
+const cancelGame = async (game, reason) => {
+    game.status = 'CANCELLED';
+    game.endReason = reason;
+    game.cancelledAt = Date.now();
+    game.turnDeadline = null;
+    console.log(`[GAME] ${game.matchId} ${reason}`);
+    metrics.inc('games_cancelled_total', { reason });
+
+    await gamesDb.save(game);
+    publish(game);
+};
+
+// { gameType, boardSize, winLength } from a create request (ranges already validated),
+// or { field, error }. Ultimate games always use 3x3 sub-boards, 3 in a row.
+const readBoardOptions = (body) => {
+    const gameType = body.gameType || 'classic';
+    if (gameType === 'ultimate') {
+        if ((body.boardSize || 3) !== 3 || (body.winLength || 3) !== 3) return { field: 'boardSize', error: "must be 3 for ultimate games" };
+        return { gameType, boardSize: 3, winLength: 3 };
+    }
+    const boardSize = body.boardSize || 3;
+    const winLength = body.winLength || boardSize;
+    if (winLength > boardSize) return { field: 'winLength', error: `must not exceed boardSize (${boardSize})` };
+    return { gameType, boardSize, winLength };
+};
+
+// New WAITING game for playerA (from /createGame, or a rematch / tournament match with the stake already fixed)
+const createWaitingGame = async ({ playerA, moveTimeoutMs, bestOf, gameType, boardSize, winLength, invitedOpponent = null, passcodeHash = null, stake = null, rematchOf = null, tournament = null }) =>
+    gamesDb.save({
+        matchId: await newMatchId(),
+        playerA,
+        playerB: null,
+        gameType,
+        ...newBoardState({ gameType, boardSize }),
+        turn: playerA, // Player A starts
+        winner: null,
+        status: 'WAITING',
+        signature: null,
+        typedSettlement: null,
+        settled: false,
+        settleTxHash: null,
+        settledAt: null,
+        cancelledAt: null,
+        ratingChange: null,
+        stake,
+        moveTimeoutMs,
+        turnDeadline: null,
+        endReason: null,
+        round: 1,
+        moves: [],
+        createdAt: Date.now(),
+        bestOf,
+        seriesWins: { playerA: 0, playerB: 0 },
+        roundStarter: playerA,
+        roundResults: [],
+        boardSize,
+        winLength,
+        private: !!(invitedOpponent || passcodeHash),
+        invitedOpponent,
+        passcodeHash,
+        rematch: null,
+        rematchOf,
+        tournament
+    });
+
+// Invite passcodes are kept salted and hashed
+const hashPasscode = (passcode, salt = crypto.randomBytes(16).toString('hex')) =>
+    `${salt}:${crypto.createHash('sha256').update(`${salt}:${passcode}`).digest('hex')}`;
+
+const passcodeMatches = (stored, passcode) =>
+    crypto.timingSafeEqual(Buffer.from(hashPasscode(passcode, stored.split(':')[0])), Buffer.from(stored));
+
+// Private games only seat the invited address and/or someone with the passcode.
+// Returns null if player may join, else { code, message }.
+const checkInvite = (game, player, passcode) => {
+    if (game.invitedOpponent && game.invitedOpponent !== player) {
+        return { code: 'NOT_INVITED', message: "This match is reserved for another player" };
+    }
+    if (game.passcodeHash && !(passcode && passcodeMatches(game.passcodeHash, passcode))) {
+        return { code: 'WRONG_PASSCODE', message: "Wrong or missing passcode" };
+    }
     return null;
 };
 
+// Random 6-digit ID (retry on the rare collision with a stored game)
+const newMatchId = async () => {
+    let matchId;
+    do {
+        matchId = Math.floor(100000 + Math.random() * 900000).toString();
+    } while (await gamesDb.has(matchId));
+    return matchId;
+};
+
+// ---------------------------------------------------------
+// TIMERS (turn deadlines, stale WAITING games, abandoned practice games)
+// ---------------------------------------------------------
+// Deadlines live on the game record, so a restart picks them up again
+// (after resumeClocks() gives the player to move a full turn back).
+// Tournament matches never expire - the organizer settles no-shows with a walkover.
+// Started once the signers are loaded, since a forfeit signs the win.
+
+// Stale WAITING games left open after a failed check, by matchId -> next attempt (epoch ms)
+const expiryRetryAt = new Map();
+const EXPIRY_RETRY_MS = 60 * 1000;
+
+// A stale WAITING game is cancelled so the creator can refund - unless the
+// opponent's joinWager already landed and only their /joinGame got lost. Then
+// cancelWager would revert and lock both stakes for good, so the match starts
+// instead. Kept open (and retried later) while the chain can't be read.
+const expireWaitingGame = async (game) => {
+    const retryLater = (reason) => {
+        console.warn(`[TIMER] ${game.matchId} not expired: ${reason}`);
+        expiryRetryAt.set(game.matchId, Date.now() + EXPIRY_RETRY_MS);
+    };
+
+    let wager;
+    try {
+        wager = await chain.getWager(game.matchId);
+    } catch (e) {
+        return retryLater(`RPC error: ${e.shortMessage || e.message}`);
+    }
+    // Joined or cancelled through the API while we were reading the chain
+    if (game.status !== 'WAITING' || game.playerB) return;
+    if (!wager.joined) {
+        expiryRetryAt.delete(game.matchId);
+        return cancelGame(game, 'EXPIRED');
+    }
+
+    if (game.invitedOpponent && game.invitedOpponent !== wager.playerB) return retryLater(`joined on-chain by uninvited ${wager.playerB}`);
+    const escrow = await chain.verifyEscrow({ ...game, playerB: wager.playerB });
+    if (!escrow.ok) return retryLater(escrow.reason);
+    if (game.status !== 'WAITING' || game.playerB) return;
+
+    expiryRetryAt.delete(game.matchId);
+    console.log(`[TIMER] ${game.matchId} joined on-chain without /joinGame - starting it`);
+    await startMatch(game, wager.playerB, escrow.wager);
+};
+
+const TIMER_TICK_MS = 1000;
+
+const runTimers = async () => {
+    const now = Date.now();
+    for (const { matchId } of await gamesDb.list()) {
+        // Re-read: a move may have completed this game since list() (see playMove)
+        const game = await gamesDb.get(matchId);
+        if (!game) continue;
+        if (game.status === 'PLAYING' && game.turnDeadline && game.turnDeadline <= now) {
+            await forfeitOnTimeout(game).catch(e => console.error(`[TIMER] ${game.matchId} forfeit failed`, e));
+        } else if (game.status === 'WAITING' && !game.tournament && (game.createdAt || 0) + WAITING_TTL_MS <= now) {
+            if ((expiryRetryAt.get(game.matchId) || 0) > now) continue;
+            await expireWaitingGame(game).catch(e => console.error(`[TIMER] ${game.matchId} expiry failed`, e));
+        } else if (game.practice) {
+            const lastActivity = game.moves.length ? game.moves[game.moves.length - 1].at : game.createdAt;
+            if (lastActivity + PRACTICE_TTL_MS <= now) {
+                await gamesDb.delete(game.matchId).catch(e => console.error(`[TIMER] ${game.matchId} cleanup failed`, e));
+            }
+        }
+    }
+};
+
+// The next pass is only scheduled once this one is done, so a slow or hanging
+// RPC read can't stack up overlapping passes over the same games
+const startTimers = () => {
+    const tick = () => runTimers()
+        .catch(e => console.error('[TIMER] Pass failed', e))
+        .finally(() => setTimeout(tick, TIMER_TICK_MS).unref());
+    setTimeout(tick, TIMER_TICK_MS).unref();
+};
+
+// Downtime isn't the players' fault: when the server comes back, every running
+// clock restarts with a full turn (a deadline is only ever moved later), so
+// nobody forfeits a wager for the minutes the server was away.
+const resumeClocks = async () => {
+    const now = Date.now();
+    let resumed = 0;
+    for (const game of await gamesDb.list()) {
+        if (game.status !== 'PLAYING' || !game.turnDeadline) continue;
+        const deadline = nextDeadline(game, now, DEFAULT_MOVE_TIMEOUT_MS);
+        if (deadline <= game.turnDeadline) continue;
+        game.turnDeadline = deadline;
+        await gamesDb.save(game);
+        resumed++;
+    }
+    if (resumed) console.log(`[TIMER] Restarted the clock of ${resumed} game(s) after startup`);
+};
+
+// ---------------------------------------------------------
+// OPERATIONS (health, readiness, metrics)
+// ---------------------------------------------------------
+// Registered ahead of the rate limiter so probes and scrapers are never throttled.
+// The chain checks are cached briefly so a busy prober can't hammer the RPC.
+
+const STARTED_AT = Date.now();
+const OPS_CHECK_TIMEOUT_MS = 3000;
+const OPS_CACHE_MS = 5000;
+const GAME_STATUSES = ['WAITING', 'PLAYING', 'COMPLETED', 'CANCELLED'];
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// RPC reachability and whether one of our signers is the one settle() trusts
+const checkChain = async () => {
+    const rpc = { ok: false, blockNumber: null, latencyMs: null, error: null };
+    const contract = { address: chain.network.contractAddress, trustedSigner: null, signerMatches: false, error: null };
+
+    const started = Date.now();
+    try {
+        rpc.blockNumber = await withTimeout(chain.provider.getBlockNumber(), OPS_CHECK_TIMEOUT_MS);
+        rpc.latencyMs = Date.now() - started;
+        rpc.ok = true;
+    } catch (e) {
+        rpc.error = e.shortMessage || e.message;
+    }
+
+    if (rpc.ok) {
+        try {
+            contract.trustedSigner = await withTimeout(chain.getTrustedSigner(), OPS_CHECK_TIMEOUT_MS);
+            contract.signerMatches = !!signers.byAddress(contract.trustedSigner);
+        } catch (e) {
+            contract.error = e.shortMessage || e.message;
+        }
+    }
+    return { rpc, contract };
+};
+
+const countGamesByStatus = async () => {
+    const counts = Object.fromEntries(GAME_STATUSES.map(status => [status, 0]));
+    for (const game of await gamesDb.list()) counts[game.status] = (counts[game.status] || 0) + 1;
+    return counts;
+};
+
+let opsCache = null; // { at, report }
+const getOpsReport = async () => {
+    if (opsCache && Date.now() - opsCache.at < OPS_CACHE_MS) return opsCache.report;
+
+    const [{ rpc, contract }, games] = await Promise.all([checkChain(), countGamesByStatus()]);
+    const report = {
+        ready: rpc.ok && contract.signerMatches,
+        signer: (signers.byAddress(contract.trustedSigner) || signers.list[0]).address,
+        signers: signers.list.map(({ id, address }) => ({ id, address })),
+        network: { key: chain.network.key, chainId: chain.network.chainId },
+        rpc,
+        contract,
+        games
+    };
+    opsCache = { at: Date.now(), report };
+    return report;
+};
+
+// Liveness: 200 while the process serves requests, with the full report
+app.get('/health', asyncHandler(async (req, res) => {
+    const report = await getOpsReport();
+    res.json({ status: report.ready ? 'ok' : 'degraded', uptimeSec: Math.floor((Date.now() - STARTED_AT) / 1000), ...report });
+}));
+
+// Readiness: 503 until the RPC answers and the signer matches trustedSigner()
+app.get('/ready', asyncHandler(async (req, res) => {
+    let report;
+    try {
+        report = await getOpsReport();
+    } catch (e) {
+        return sendError(res, 503, 'NOT_READY', `Game store unavailable: ${e.message}`);
+    }
+    if (report.ready) return res.json({ ready: true, signer: report.signer, games: report.games });
+
+    const reason = !report.rpc.ok
+        ? `RPC unreachable: ${report.rpc.error}`
+        : (report.contract.error ? `trustedSigner() failed: ${report.contract.error}` : "No loaded signer matches the contract's trustedSigner");
+    sendError(res, 503, 'NOT_READY', reason, report);
+}));
+
+app.get('/metrics', asyncHandler(async (req, res) => {
+    const games = await countGamesByStatus();
+    if (req.query.format === 'json') {
+        return res.json({ uptimeSec: Math.floor((Date.now() - STARTED_AT) / 1000), counters: metrics.snapshot(), games });
+    }
+    res.type('text/plain; version=0.0.4').send(metrics.toPrometheus([{
+        name: 'games',
+        help: 'Stored games by status',
+        values: Object.entries(games).map(([status, value]) => ({ labels: { status }, value }))
+    }]));
+}));
+
 // ---------------------------------------------------------
 // API ENDPOINTS
 // ---------------------------------------------------------
+// Errors use the envelope from lib/errors: { error, code, details? }
+// Async handlers go through asyncHandler so a failed store write or RPC call is a 500, not a crash.
+
+const matchParams = validate({ params: { matchId: rules.matchId } });
+const addressParams = validate({ params: { address: rules.address } });
+const boardRules = {
+    boardSize: rules.optional(rules.int(MIN_BOARD_SIZE, MAX_BOARD_SIZE)),
+    winLength: rules.optional(rules.int(3, MAX_BOARD_SIZE))
+};
+// Everything a wagered match can be configured with
+const matchRules = {
+    moveTimeout: rules.optional(rules.int(MIN_MOVE_TIMEOUT_MS / 1000, MAX_MOVE_TIMEOUT_MS / 1000)),
+    bestOf: rules.optional(rules.oneOf(SERIES_LENGTHS)),
+    gameType: rules.optional(rules.oneOf(GAME_TYPES)),
+    ...boardRules
+};
+
+// Read routes that take a match ID: cap how many unknown IDs one IP may probe.
+// Only the misses are limited, so a mistyped ID never locks the IP (or everyone
+// behind the same NAT) out of games that exist.
+const gameNotFound = (req, res) => {
+    if (lookupMisses.miss(res, byIp(req))) return;
+    return sendError(res, 404, 'GAME_NOT_FOUND', "Game not found");
+};
+// Wrong passcodes count towards passcodeMisses
+const inviteRefused = (req, res, { code, message }) => {
+    if (code === 'WRONG_PASSCODE') passcodeMisses.hit(byPlayer(req));
+    return sendError(res, 403, code, message);
+};
+
+app.use(apiLimit.middleware(byIp));
+
+// 0. Sign-In (wallet signature -> session token)
+app.post('/auth/nonce', authLimit.middleware(byIp), validate({ body: { address: rules.address } }), (req, res) => {
+    const { address } = req.body;
+    const { nonce, message } = issueNonce(address);
+    res.json({ success: true, nonce, message });
+});
+
+app.post('/auth/verify', authLimit.middleware(byIp), validate({ body: { address: rules.address, signature: rules.signature } }), (req, res) => {
+    const { address, signature } = req.body;
+    const session = verifySignature(address, signature);
+    if (!session) return sendError(res, 401, 'INVALID_SIGNATURE', "Invalid signature");
+
+    console.log(`[AUTH] ${address} signed in`);
+    res.json({ success: true, address, token: session.token, expiresAt: session.expiresAt });
+});
 
 // 1. Create Game (Player A)
-app.post('/createGame', (req, res) => {
-    const { playerA } = req.body;
-    // Generate a random 6-digit ID
-    const matchId = Math.floor(100000 + Math.random() * 900000).toString();
+app.post('/createGame', requireWallet, actionLimit.middleware(byPlayer), validate({
+    body: {
+        ...matchRules,
+        opponent: rules.optional(rules.address),
+        passcode: rules.optional(rules.passcode)
+    }
+}), asyncHandler(async (req, res) => {
+    const playerA = req.player;
+    const { opponent = null, passcode } = req.body;
+    if (opponent === playerA) return sendError(res, 400, 'SELF_PLAY', "Cannot invite yourself");
+    const moveTimeoutMs = req.body.moveTimeout ? req.body.moveTimeout * 1000 : DEFAULT_MOVE_TIMEOUT_MS;
+    const bestOf = req.body.bestOf || 1;
+    const { gameType, boardSize, winLength, field, error } = readBoardOptions(req.body);
+    if (error) return sendError(res, 400, 'VALIDATION_FAILED', `${field} ${error}`, { fields: { [field]: error } });
 
-    gamesDb.set(matchId, {
-        matchId,
-        playerA: playerA.toLowerCase(),
-        playerB: null,
-        board: Array(9).fill(null),
-        turn: playerA.toLowerCase(), // Player A starts
-        winner: null,
-        status: 'WAITING',
-        signature: null
+    const game = await createWaitingGame({
+        playerA,
+        moveTimeoutMs,
+        bestOf,
+        gameType,
+        boardSize,
+        winLength,
+        invitedOpponent: opponent,
+        passcodeHash: passcode ? hashPasscode(passcode) : null
     });
+    const { matchId } = game;
+
+    publish(game);
 
-    console.log(`[GAME] Created ${matchId} by ${playerA}`);
+    console.log(`[GAME] Created ${matchId} by ${playerA}${game.private ? ' (private)' : ''}`);
+    metrics.inc('games_created_total', { mode: 'wager' });
     res.json({ success: true, matchId });
-});
+}));
 
 // 2. Join Game (Player B)
-app.post('/joinGame', (req, res) => {
-    const { matchId, playerB } = req.body;
-    const game = gamesDb.get(matchId);
+app.post('/joinGame', requireWallet, actionLimit.middleware(byPlayer), passcodeMisses.guard(byPlayer), validate({
+    body: { matchId: rules.matchId, passcode: rules.optional(rules.passcode) }
+}), asyncHandler(async (req, res) => {
+    const { matchId, passcode } = req.body;
+    const playerB = req.player;
+    const game = await gamesDb.get(matchId);
 
-    if (!game) return res.status(404).json({ error: "Game not found" });
-    if (game.playerB) return res.status(400).json({ error: "Game full" });
-    if (game.playerA === playerB.toLowerCase()) return res.status(400).json({ error: "Cannot play against yourself" });
+    if (!game) return sendError(res, 404, 'GAME_NOT_FOUND', "Game not found");
+    if (game.status === 'CANCELLED') return sendError(res, 400, 'GAME_CANCELLED', "Game cancelled");
+    if (game.playerB) return sendError(res, 400, 'GAME_FULL', "Game full");
+    if (game.playerA === playerB) return sendError(res, 400, 'SELF_PLAY', "Cannot play against yourself");
+    const refused = checkInvite(game, playerB, passcode);
+    if (refused) return inviteRefused(req, res, refused);
 
-    game.playerB = playerB.toLowerCase();
-    game.status = 'PLAYING';
+    // Only start once both deposits are locked in the contract for these two addresses
+    const escrow = await chain.verifyEscrow({ ...game, playerB });
+    if (!escrow.ok) {
+        console.warn(`[CHAIN] ${matchId} join refused: ${escrow.reason}`);
+        return sendError(res, 409, 'ESCROW_NOT_CONFIRMED', `Escrow not confirmed: ${escrow.reason}`);
+    }
+    // Cancelled or taken while we were reading the chain
+    if (game.status !== 'WAITING' || game.playerB) return sendError(res, 400, 'GAME_NOT_OPEN', "Game no longer open");
 
-    console.log(`[GAME] ${playerB} joined ${matchId}`);
+    await startMatch(game, playerB, escrow.wager);
     res.json({ success: true });
-});
+}));
 
 // 3. Make Move
-app.post('/makeMove', async (req, res) => {
-    const { matchId, player, index } = req.body;
-    const game = gamesDb.get(matchId);
-
-    if (!game) return res.status(404).json({ error: "Game not found" });
-    if (game.status !== 'PLAYING') return res.status(400).json({ error: "Game not active" });
-    if (game.turn !== player.toLowerCase()) return res.status(400).json({ error: "Not your turn" });
-    if (game.board[index]) return res.status(400).json({ error: "Cell taken" });
-
-    // Update Board
-    const symbol = (player.toLowerCase() === game.playerA) ? 'X' : 'O';
-    game.board[index] = symbol;
-
-    // Check Win
-    const winnerSymbol = checkWin(game.board);
-    if (winnerSymbol) {
-        game.status = 'COMPLETED';
-        game.winner = (winnerSymbol === 'X') ? game.playerA : game.playerB;
-        console.log(`[GAME] ${matchId} WON by ${game.winner}`);
-
-        // AUTO-SIGN
-        try {
-            const chainId = 137;
-            const messageHash = ethers.solidityPackedKeccak256(
-                ['uint256', 'uint256', 'address'],
-                [chainId, matchId, game.winner]
-            );
-            game.signature = await SIGNER_WALLET.signMessage(ethers.getBytes(messageHash));
-        } catch (e) {
-            console.error("Signing failed", e);
+app.post('/makeMove', requireSession, actionLimit.middleware(byPlayer), validate({
+    body: { matchId: rules.matchId, index: rules.int(0, MAX_CELLS - 1), signature: rules.optional(rules.signature) }
+}), asyncHandler(async (req, res) => {
+    const { matchId, index, signature } = req.body;
+    const player = req.player;
+    const game = await gamesDb.get(matchId);
+
+    if (!game) return sendError(res, 404, 'GAME_NOT_FOUND', "Game not found");
+
+    // Same checks the client runs before rendering a move optimistically
+    const invalid = validateMove(game, player, index, Date.now());
+    if (invalid) {
+        if (invalid.code === 'MOVE_TIME_EXPIRED') await forfeitOnTimeout(game);
+        return sendError(res, 400, invalid.code, invalid.message);
+    }
+
+    // Wagered games keep a transcript: the player signs Move(matchId, moveNumber, index, prevStateHash)
+    if (game.stateHash) {
+        const moveNumber = game.moves.length + 1;
+        if (!signature) return sendError(res, 400, 'MOVE_SIGNATURE_REQUIRED', "Sign the move with your wallet");
+        const signer = recoverMoveSigner(ethers, moveDomain, moveMessage(matchId, moveNumber, index, game.stateHash), signature);
+        if (signer !== player) {
+            return sendError(res, 400, 'BAD_MOVE_SIGNATURE', `Move ${moveNumber} must be signed by ${player} over the current state`, { moveNumber, prevStateHash: game.stateHash });
         }
+    }
+
+    const next = await playAiTurns(await playMove(game, player, index, signature));
+
+    await gamesDb.save(next);
+    publish(next);
+    res.json({ success: true, game: publicGame(next) });
+}));
 
-    } else if (!game.board.includes(null)) {
-        // DRAW - Reset board and continue playing
-        console.log(`[GAME] ${matchId} DRAW - Resetting board for next round`);
-        game.board = Array(9).fill(null);
-        // Keep same turn player (fairness - they go first in new round)
-        // Or alternate if you prefer: game.turn = (game.turn === game.playerA) ? game.playerB : game.playerA;
-    } else {
-        // Switch Turn
-        game.turn = (game.turn === game.playerA) ? game.playerB : game.playerA;
+// 4. Cancel Game (creator only, before anyone joins)
+app.post('/cancelGame', requireWallet, actionLimit.middleware(byPlayer), validate({ body: { matchId: rules.matchId } }), asyncHandler(async (req, res) => {
+    const { matchId } = req.body;
+    const game = await gamesDb.get(matchId);
+
+    if (!game) return sendError(res, 404, 'GAME_NOT_FOUND', "Game not found");
+    if (game.playerA !== req.player) return sendError(res, 403, 'NOT_CREATOR', "Only the creator can cancel");
+    if (game.tournament) return sendError(res, 400, 'TOURNAMENT_MATCH', "Tournament matches can't be cancelled - ask the organizer");
+    if (game.status !== 'WAITING') return sendError(res, 400, 'GAME_NOT_OPEN', "Game can no longer be cancelled");
+
+    // If an opponent's joinWager already landed, cancelWager would revert - let them in instead
+    try {
+        const wager = await chain.getWager(matchId);
+        if (wager.joined) return sendError(res, 409, 'OPPONENT_JOINED', "Opponent already joined on-chain");
+    } catch (e) {
+        return sendError(res, 503, 'RPC_UNAVAILABLE', "Could not read escrow, try again");
     }
+    // Joined while we were reading the chain - cancelWager would now revert
+    if (game.status !== 'WAITING' || game.playerB) return sendError(res, 409, 'GAME_NOT_OPEN', "Game no longer open");
 
-    res.json({ success: true, game });
-});
+    await cancelGame(game, 'CANCELLED');
+    res.json({ success: true });
+}));
+
+// 5. Get Game State (one-off fetch / polling fallback)
+app.get('/gameState/:matchId', matchParams, asyncHandler(async (req, res) => {
+    const game = await gamesDb.get(req.params.matchId);
+    if (!game) return gameNotFound(req, res);
+    res.json(publicGame(game));
+}));
+
+// 6. Retry Settlement Signature (winner only, e.g. after an RPC outage)
+app.post('/claimSignature', requireWallet, actionLimit.middleware(byPlayer), validate({ body: { matchId: rules.matchId } }), asyncHandler(async (req, res) => {
+    const { matchId } = req.body;
+    const game = await gamesDb.get(matchId);
+
+    if (!game) return sendError(res, 404, 'GAME_NOT_FOUND', "Game not found");
+    if (game.practice) return sendError(res, 400, 'PRACTICE_GAME', "Practice games have no settlement");
+    if (game.status !== 'COMPLETED' || game.winner !== req.player) return sendError(res, 403, 'NOT_WINNER', "Not the winner");
+    if (game.settled) return sendError(res, 409, 'ALREADY_SETTLED', "Prize already claimed");
+
+    // Re-issue when never signed, the typed attestation has expired, or the
+    // contract has rotated to a different signer since
+    const expired = game.typedSettlement && game.typedSettlement.message.deadline < Date.now() / 1000;
+    const rotated = game.signerAddress && game.signerAddress !== (await signers.active()).address;
+    if (!game.signature || expired || rotated) {
+        if (!await signWinner(game)) return sendError(res, 409, 'ESCROW_NOT_CONFIRMED', "Escrow not confirmed, try again later");
+        await gamesDb.save(game);
+        publish(game);
+    }
+
+    res.json({ success: true, signature: game.signature, typedSettlement: game.typedSettlement });
+}));
+
+// 7. Move Log (every move of every round, for audits and replays)
+app.get('/games/:matchId/moves', matchParams, asyncHandler(async (req, res) => {
+    const game = await gamesDb.get(req.params.matchId);
+    if (!game) return gameNotFound(req, res);
+
+    const { matchId, playerA, playerB, winner, status, endReason, bestOf = 1, roundResults = [], gameType = 'classic', boardSize = 3, winLength = 3, moves = [] } = game;
+    res.json({ matchId, playerA, playerB, winner, status, endReason, bestOf, roundResults, gameType, boardSize, winLength, moves });
+}));
+
+// 8. Match History for an address (newest first, without move logs or practice games).
+// Private games are only listed for a signed-in caller who plays in them.
+app.get('/players/:address/games', optionalSession, addressParams, asyncHandler(async (req, res) => {
+    const { address } = req.params;
+    const canSee = (g) => !g.private || (req.player && (g.playerA === req.player || g.playerB === req.player));
+
+    const games = (await gamesDb.list())
+        .filter(g => !g.practice && (g.playerA === address || g.playerB === address) && canSee(g))
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+        .map(({ moves = [], board, passcodeHash, ...summary }) => ({ ...summary, moveCount: moves.length }));
+
+    res.json({ address, games });
+}));
+
+// 9. Leaderboard (by ELO)
+app.get('/leaderboard', validate({ query: { limit: rules.optional(rules.int(1, 100)) } }), asyncHandler(async (req, res) => {
+    const limit = req.query.limit || 20;
+    res.json({ players: await stats.getLeaderboard(limit) });
+}));
+
+// 10. Player Profile (stats + recent matches)
+app.get('/players/:address', addressParams, asyncHandler(async (req, res) => {
+    res.json(await stats.getProfile(req.params.address));
+}));
+
+// 11. Subscribe to Game Updates (Server-Sent Events)
+app.get('/events/:matchId', matchParams, asyncHandler(async (req, res) => {
+    const game = await gamesDb.get(req.params.matchId);
+    if (!game) return gameNotFound(req, res);
+    realtime.subscribe(req, res, publicGame(game), { spectator: req.query.role === 'spectator' });
+}));
+
+// 12. Spectator Count (live viewers on ?role=spectator streams)
+app.get('/games/:matchId/spectators', matchParams, asyncHandler(async (req, res) => {
+    if (!await gamesDb.has(req.params.matchId)) return gameNotFound(req, res);
+    res.json({ matchId: req.params.matchId, count: realtime.getSpectatorCount(req.params.matchId) });
+}));
+
+// 13. Lobby: open games whose creator has already locked a stake on-chain
+const LOBBY_LIMIT = 50;
+const LOBBY_CACHE_MS = 5000;
+const lobbyStakeCache = new Map(); // matchId -> { stake, fetchedAt }
+
+const getOpenStake = async (game) => {
+    const cached = lobbyStakeCache.get(game.matchId);
+    if (cached && Date.now() - cached.fetchedAt < LOBBY_CACHE_MS) return cached.stake;
+
+    let stake = null;
+    try {
+        const wager = await chain.getWager(game.matchId);
+        if (wager.playerA === game.playerA && !wager.joined && !wager.settled) stake = wager.stake;
+    } catch (e) {
+        console.warn(`[CHAIN] lobby read failed for ${game.matchId}: ${e.shortMessage || e.message}`);
+    }
+    lobbyStakeCache.set(game.matchId, { stake, fetchedAt: Date.now() });
+    return stake;
+};
+
+app.get('/lobby', asyncHandler(async (req, res) => {
+    const waiting = (await gamesDb.list())
+        .filter(g => g.status === 'WAITING' && !g.private)
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+        .slice(0, LOBBY_LIMIT);
+
+    // Forget cached stakes for games that are no longer open
+    const openIds = new Set(waiting.map(g => g.matchId));
+    for (const id of lobbyStakeCache.keys()) {
+        if (!openIds.has(id)) lobbyStakeCache.delete(id);
+    }
+
+    const stakes = await Promise.all(waiting.map(getOpenStake));
+    const now = Date.now();
+    const games = waiting
+        .map((game, i) => ({
+            matchId: game.matchId,
+            creator: game.playerA,
+            stake: stakes[i],
+            createdAt: game.createdAt,
+            ageMs: now - (game.createdAt || now),
+            moveTimeoutMs: game.moveTimeoutMs,
+            bestOf: game.bestOf || 1,
+            gameType: game.gameType || 'classic',
+            boardSize: game.boardSize || 3,
+            winLength: game.winLength || 3
+        }))
+        .filter(g => g.stake); // createWager not mined yet - nothing to join
+
+    res.json({ games });
+}));
+
+// 14. Network Profile (lets the client check it talks to the same chain)
+app.get('/config', asyncHandler(async (req, res) => {
+    const { key, name, chainId, contractAddress, explorer } = chain.network;
+    const signer = (await signers.active()).address;
+    res.json({ network: key, name, chainId, contractAddress, explorer, signer, signers: signers.list.map(s => s.address) });
+}));
 
-// 4. Get Game State (Polling)
-app.get('/gameState/:matchId', (req, res) => {
-    const game = gamesDb.get(req.params.matchId);
-    if (!game) return res.status(404).json({ error: "Not found" });
-    res.json(game);
+// 15. Practice Game (vs the server AI - no wallet, stake or settlement)
+app.post('/practice', authLimit.middleware(byIp), optionalSession, validate({
+    body: { difficulty: rules.optional(rules.oneOf(ai.DIFFICULTIES)), ...boardRules }
+}), asyncHandler(async (req, res) => {
+    const difficulty = req.body.difficulty || 'perfect';
+    // The AI only plays classic boards
+    const { boardSize, winLength, field, error } = readBoardOptions({ ...req.body, gameType: 'classic' });
+    if (error) return sendError(res, 400, 'VALIDATION_FAILED', `${field} ${error}`, { fields: { [field]: error } });
+    if (boardSize > ai.MAX_BOARD_SIZE) {
+        const message = `must be at most ${ai.MAX_BOARD_SIZE} for practice`;
+        return sendError(res, 400, 'VALIDATION_FAILED', `boardSize ${message}`, { fields: { boardSize: message } });
+    }
+
+    // No session yet: hand out a guest one so /makeMove works without a wallet
+    let player = req.player;
+    let guest = null;
+    if (!player) {
+        guest = issueGuestSession();
+        player = guest.address;
+    }
+
+    const matchId = await newMatchId();
+    const game = await gamesDb.save({
+        matchId,
+        playerA: player,
+        playerB: AI_PLAYER,
+        board: Array(boardSize * boardSize).fill(null),
+        turn: player, // Human always plays X and starts
+        winner: null,
+        status: 'PLAYING',
+        signature: null,
+        typedSettlement: null,
+        settled: false,
+        settleTxHash: null,
+        settledAt: null,
+        cancelledAt: null,
+        ratingChange: null,
+        stake: null,
+        moveTimeoutMs: null,
+        turnDeadline: null,
+        endReason: null,
+        round: 1,
+        moves: [],
+        createdAt: Date.now(),
+        bestOf: 1,
+        seriesWins: { playerA: 0, playerB: 0 },
+        roundStarter: player,
+        roundResults: [],
+        boardSize,
+        winLength,
+        practice: true,
+        difficulty
+    });
+
+    console.log(`[GAME] Practice ${matchId} (${difficulty}) for ${player}`);
+    metrics.inc('games_created_total', { mode: 'practice' });
+    res.json({ success: true, matchId, game: publicGame(game), guest });
+}));
+
+// 16. Report a Claim (winner's client, once its settle() transaction is mined)
+// Checked against the chain, so a bad hash can't mark a game settled. The
+// poller would pick the claim up anyway; this just makes it show up at once.
+app.post('/games/:matchId/settlement', requireWallet, actionLimit.middleware(byPlayer), matchParams, validate({ body: { txHash: rules.txHash } }), asyncHandler(async (req, res) => {
+    const game = await gamesDb.get(req.params.matchId);
+
+    if (!game) return sendError(res, 404, 'GAME_NOT_FOUND', "Game not found");
+    if (game.practice) return sendError(res, 400, 'PRACTICE_GAME', "Practice games have no settlement");
+    if (game.status !== 'COMPLETED' || game.winner !== req.player) return sendError(res, 403, 'NOT_WINNER', "Not the winner");
+
+    let result;
+    try {
+        result = await settlements.confirm(game, req.body.txHash);
+    } catch (error) {
+        console.error(`[SETTLE] ${game.matchId} confirm failed:`, error.shortMessage || error.message);
+        return sendError(res, 503, 'RPC_UNAVAILABLE', "Could not read the transaction, try again");
+    }
+    if (!result.ok) return sendError(res, 409, 'SETTLEMENT_NOT_CONFIRMED', result.reason);
+
+    res.json({ success: true, settled: game.settled, settleTxHash: game.settleTxHash, settledAt: game.settledAt });
+}));
+
+// 17. Check an Invite (before paying into a private game's escrow - the contract
+// itself doesn't know about invites, so /joinGame would refuse only after the deposit)
+app.post('/games/:matchId/invite', requireWallet, actionLimit.middleware(byPlayer), passcodeMisses.guard(byPlayer), matchParams, validate({
+    body: { passcode: rules.optional(rules.passcode) }
+}), asyncHandler(async (req, res) => {
+    const game = await gamesDb.get(req.params.matchId);
+
+    if (!game || game.practice) return sendError(res, 404, 'GAME_NOT_FOUND', "Game not found");
+    if (game.status !== 'WAITING' || game.playerB) return sendError(res, 400, 'GAME_NOT_OPEN', "Game no longer open");
+    const refused = checkInvite(game, req.player, req.body.passcode);
+    if (refused) return inviteRefused(req, res, refused);
+
+    res.json({ success: true });
+}));
+
+// 18. Rematch (either player offers on a finished match, the other accepts)
+// Accepting creates a private game for the same stake and settings with the
+// loser as playerA, so they move first. The loser then calls createWager and
+// the winner joinWager as for any other game; verifyEscrow holds the stake.
+// Returns null if player may offer/answer a rematch on game, else { status, code, message }
+const rematchRefusal = (game, player) => {
+    if (!game) return { status: 404, code: 'GAME_NOT_FOUND', message: "Game not found" };
+    if (game.practice) return { status: 400, code: 'PRACTICE_GAME', message: "Practice games have no rematch - start a new one" };
+    if (game.playerA !== player && game.playerB !== player) return { status: 403, code: 'NOT_A_PLAYER', message: "Only the two players can arrange a rematch" };
+    if (game.status !== 'COMPLETED') return { status: 400, code: 'GAME_NOT_COMPLETED', message: "Game not finished" };
+    return null;
+};
+
+// The other player accepted: create the new game and link it. Returns the rematch.
+const acceptRematch = async (game, offer) => {
+    const loser = otherPlayer(game, game.winner);
+    const next = await createWaitingGame({
+        playerA: loser,
+        moveTimeoutMs: game.moveTimeoutMs,
+        bestOf: game.bestOf || 1,
+        gameType: game.gameType || 'classic',
+        boardSize: game.boardSize || 3,
+        winLength: game.winLength || 3,
+        invitedOpponent: game.winner,
+        stake: game.stake,
+        rematchOf: game.matchId
+    });
+    game.rematch = { ...offer, matchId: next.matchId, playerA: loser };
+    await gamesDb.save(game);
+    publish(next);
+    publish(game);
+
+    console.log(`[GAME] ${game.matchId} rematch accepted - ${next.matchId} created for ${loser}`);
+    metrics.inc('games_created_total', { mode: 'rematch' });
+    return game.rematch;
+};
+
+// Accepts in flight, by matchId -> Promise of the rematch. Two accepts at once
+// (two tabs, a retry) share it, so only one new game is ever created.
+const rematchAccepts = new Map();
+
+app.post('/games/:matchId/rematch', requireWallet, actionLimit.middleware(byPlayer), matchParams, asyncHandler(async (req, res) => {
+    const game = await gamesDb.get(req.params.matchId);
+    const refused = rematchRefusal(game, req.player);
+    if (refused) return sendError(res, refused.status, refused.code, refused.message);
+    const offer = game.rematch;
+
+    // Already arranged, or our own offer still pending: nothing to do
+    if (offer && (offer.matchId || offer.offeredBy === req.player)) return res.json({ success: true, rematch: offer });
+
+    if (!offer) {
+        game.rematch = { offeredBy: req.player, offeredAt: Date.now(), matchId: null, playerA: null, stake: game.stake };
+        await gamesDb.save(game);
+        publish(game);
+        console.log(`[GAME] ${game.matchId} rematch offered by ${req.player}`);
+        return res.json({ success: true, rematch: game.rematch });
+    }
+
+    let accepting = rematchAccepts.get(game.matchId);
+    if (!accepting) {
+        accepting = acceptRematch(game, offer).finally(() => rematchAccepts.delete(game.matchId));
+        rematchAccepts.set(game.matchId, accepting);
+    }
+    res.json({ success: true, rematch: await accepting });
+}));
+
+// Withdraw (offerer) or decline (opponent) a pending offer
+app.delete('/games/:matchId/rematch', requireWallet, actionLimit.middleware(byPlayer), matchParams, asyncHandler(async (req, res) => {
+    const game = await gamesDb.get(req.params.matchId);
+    const refused = rematchRefusal(game, req.player);
+    if (refused) return sendError(res, refused.status, refused.code, refused.message);
+    if (!game.rematch) return sendError(res, 404, 'NO_REMATCH_OFFER', "No rematch offer");
+    if (game.rematch.matchId || rematchAccepts.has(game.matchId)) return sendError(res, 409, 'REMATCH_ACCEPTED', "Rematch already accepted");
+
+    game.rematch = null;
+    await gamesDb.save(game);
+    publish(game);
+    res.json({ success: true });
+}));
+
+// 19. Tournaments (single elimination)
+// Each bracket match comes back with the live status of its game.
+const withMatchStatus = async (t) => ({
+    ...t,
+    rounds: await Promise.all(t.rounds.map(round => Promise.all(round.map(async (match) => {
+        const game = match.matchId ? await gamesDb.get(match.matchId) : null;
+        return { ...match, status: game ? game.status : null };
+    }))))
 });
 
+const tournamentParams = validate({ params: { id: rules.tournamentId } });
+
+// Organizer registers the players; the first round's games are created straight away
+app.post('/tournaments', requireWallet, actionLimit.middleware(byPlayer), validate({
+    body: {
+        name: rules.text(60),
+        players: rules.addresses(MIN_PLAYERS, MAX_PLAYERS),
+        stake: rules.wei,
+        seeding: rules.optional(rules.oneOf(['rating', 'listed'])),
+        ...matchRules
+    }
+}), asyncHandler(async (req, res) => {
+    const { name, players, stake, seeding } = req.body;
+    const { gameType, boardSize, winLength, field, error } = readBoardOptions(req.body);
+    if (error) return sendError(res, 400, 'VALIDATION_FAILED', `${field} ${error}`, { fields: { [field]: error } });
+
+    const t = await tournaments.create({
+        name,
+        organizer: req.player,
+        players,
+        seeding,
+        settings: {
+            stake,
+            gameType,
+            boardSize,
+            winLength,
+            bestOf: req.body.bestOf || 1,
+            moveTimeoutMs: req.body.moveTimeout ? req.body.moveTimeout * 1000 : DEFAULT_MOVE_TIMEOUT_MS
+        }
+    });
+
+    console.log(`[TOURNAMENT] ${t.id} "${name}" created by ${req.player} with ${players.length} players`);
+    metrics.inc('tournaments_created_total');
+    res.json({ success: true, tournament: await withMatchStatus(t) });
+}));
+
+app.get('/tournaments', asyncHandler(async (req, res) => {
+    const list = (await tournaments.list()).map(t => ({
+        id: t.id,
+        name: t.name,
+        status: t.status,
+        organizer: t.organizer,
+        playerCount: t.players.length,
+        rounds: t.rounds.length,
+        // First round with an undecided match, 1-based
+        currentRound: t.status === 'COMPLETED' ? t.rounds.length : t.rounds.findIndex(round => round.some(m => !m.winner)) + 1,
+        champion: t.champion,
+        stake: t.settings.stake,
+        createdAt: t.createdAt
+    }));
+    res.json({ tournaments: list });
+}));
+
+app.get('/tournaments/:id', tournamentParams, asyncHandler(async (req, res) => {
+    const t = await tournaments.get(req.params.id);
+    if (!t) return sendError(res, 404, 'TOURNAMENT_NOT_FOUND', "Tournament not found");
+    res.json(await withMatchStatus(t));
+}));
+
+// Organizer awards a match that never started (no-show). The game is cancelled,
+// so a creator who already locked the stake can take it back with cancelWager.
+app.post('/tournaments/:id/walkover', requireWallet, actionLimit.middleware(byPlayer), tournamentParams, validate({
+    body: { matchId: rules.matchId, winner: rules.address }
+}), asyncHandler(async (req, res) => {
+    const { matchId, winner } = req.body;
+    const t = await tournaments.get(req.params.id);
+    if (!t) return sendError(res, 404, 'TOURNAMENT_NOT_FOUND', "Tournament not found");
+    if (t.organizer !== req.player) return sendError(res, 403, 'NOT_ORGANIZER', "Only the organizer can award a walkover");
+
+    const game = await gamesDb.get(matchId);
+    if (!game || !tournaments.findMatch(t, matchId)) return sendError(res, 404, 'GAME_NOT_FOUND', "Game is not part of this tournament");
+    if (game.status !== 'WAITING') return sendError(res, 400, 'GAME_NOT_OPEN', "Only matches that haven't started can be walked over");
+    try {
+        const wager = await chain.getWager(matchId);
+        if (wager.joined) return sendError(res, 409, 'OPPONENT_JOINED', "Both players are in on-chain - let the match start");
+    } catch (e) {
+        return sendError(res, 503, 'RPC_UNAVAILABLE', "Could not read escrow, try again");
+    }
+    // Started while we were reading the chain - it gets played, not walked over
+    if (game.status !== 'WAITING' || game.playerB) return sendError(res, 409, 'GAME_NOT_OPEN', "Match has started - let it be played");
+
+    const result = await tournaments.walkover(t, matchId, winner);
+    if (!result.ok) return sendError(res, 409, 'WALKOVER_REFUSED', result.reason);
+    await cancelGame(game, 'WALKOVER');
+
+    console.log(`[TOURNAMENT] ${t.id} walkover in ${matchId} for ${winner}`);
+    res.json({ success: true, tournament: await withMatchStatus(result.tournament) });
+}));
+
+// 20. Signed Transcript (for disputes - check it offline with verify_transcript.js)
+app.get('/games/:matchId/transcript', matchParams, asyncHandler(async (req, res) => {
+    const game = await gamesDb.get(req.params.matchId);
+    if (!game) return gameNotFound(req, res);
+    if (game.practice) return sendError(res, 400, 'PRACTICE_GAME', "Practice games have no transcript");
+    if (!game.stateHash) return sendError(res, 400, 'NO_TRANSCRIPT', "Game has no signed transcript (not started yet, or started before moves were signed)");
+
+    const { matchId, playerA, playerB, status, winner, endReason, gameType = 'classic', boardSize = 3, winLength = 3, bestOf = 1 } = game;
+    res.json({
+        version: 1,
+        matchId,
+        chainId: chain.network.chainId,
+        contractAddress: chain.network.contractAddress,
+        playerA,
+        playerB,
+        gameType,
+        boardSize,
+        winLength,
+        bestOf,
+        status,
+        winner,
+        endReason,
+        genesisStateHash: genesisStateHash(ethers, game),
+        stateHash: game.stateHash,
+        moves: game.moves.map(({ moveNumber, player, index, round, at, prevStateHash, stateHash, signature }) => ({
+            moveNumber, player, index, round, at, prevStateHash, stateHash, signature
+        })),
+        settlement: {
+            signature: game.signature,
+            typedSettlement: game.typedSettlement,
+            signerAddress: game.signerAddress || null
+        }
+    });
+}));
+
 // Serve index.html for all other routes (SPA support)
 if (process.env.NODE_ENV === 'production') {
     // Serve index.html for any unmatched route (SPA support)
@@ -181,8 +1267,32 @@ if (process.env.NODE_ENV === 'production') {
     });
 }
 
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log(`Signer: ${SIGNER_WALLET ? SIGNER_WALLET.address : 'None'}`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+app.use(errorHandler);
+
+createSigners({ getTrustedSigner: chain.getTrustedSigner })
+    .then(async (loaded) => {
+        signers = loaded;
+        for (const signer of signers.list) console.log(`[SIGNER] Loaded ${signer.id}`);
+        await resumeClocks().catch(e => console.error('[TIMER] Could not resume clocks', e));
+        startTimers();
+        settlements.start();
+
+        app.listen(PORT, '0.0.0.0', () => {
+            console.log(`Server running on port ${PORT}`);
+            console.log(`Network: ${chain.network.key} (${chain.network.chainId})`);
+            console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+            // Flag a key/contract mismatch now rather than when a winner's settle() reverts
+            getOpsReport().then(({ rpc, contract }) => {
+                if (!rpc.ok) console.warn(`[CHAIN] RPC unreachable at startup: ${rpc.error}`);
+                else if (contract.error) console.warn(`[CHAIN] Could not read trustedSigner(): ${contract.error}`);
+                else if (!contract.signerMatches) {
+                    console.error(`[CHAIN] No loaded signer is the contract's trustedSigner (${contract.trustedSigner}) - settle() will revert`);
+                } else console.log(`[CHAIN] Signing as trustedSigner() ${contract.trustedSigner}`);
+            }).catch(e => console.error('[CHAIN] Startup check failed', e));
+        });
+    })
+    .catch((error) => {
+        console.error("[FATAL] Failed to load signers:", error.message);
+        process.exit(1);
+    });
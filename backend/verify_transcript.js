@@ -0,0 +1,90 @@
+// Offline dispute check for a match's signed move transcript.
+//
+//   node verify_transcript.js <transcript.json | https://host/games/<matchId>/transcript> [--signer 0x...]
+//
+// Replays every move with the game engine, checks each player's signature and
+// the state hash chain, then checks that the settlement signature pays the
+// winner the moves lead to. Pass --signer with the contract's trustedSigner()
+// (see check_signer.js) to pin the key; otherwise the signer the server
+// reported is only echoed back.
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { verifyTranscript } = require('../shared/transcript.js');
+const { verifyLegacySettlement, verifyTypedSettlement } = require('../shared/settlement.js');
+
+const load = async (source) => {
+    if (/^https?:\/\//.test(source)) {
+        const res = await fetch(source);
+        if (!res.ok) throw new Error(`${res.status} ${(await res.json().catch(() => ({}))).error || res.statusText}`);
+        return res.json();
+    }
+    return JSON.parse(fs.readFileSync(source, 'utf8'));
+};
+
+async function verify() {
+    const args = process.argv.slice(2);
+    const signerFlag = args.indexOf('--signer');
+    const pinnedSigner = signerFlag !== -1 ? args.splice(signerFlag, 2)[1] : null;
+    if (args.length !== 1) {
+        console.error("Usage: node verify_transcript.js <transcript.json | transcript URL> [--signer 0x...]");
+        process.exit(2);
+    }
+
+    let transcript;
+    try {
+        transcript = await load(args[0]);
+    } catch (err) {
+        console.error("❌ Could not load transcript:", err.message);
+        process.exit(2);
+    }
+    console.log(`Match ${transcript.matchId}: ${transcript.playerA} (X) v ${transcript.playerB} (O)`);
+    console.log(`Network: chainId ${transcript.chainId}, contract ${transcript.contractAddress}`);
+    console.log(`Recorded: ${transcript.status}, winner ${transcript.winner || '-'}${transcript.endReason ? ` (${transcript.endReason})` : ''}`);
+
+    const result = verifyTranscript(ethers, transcript);
+    if (!result.ok) {
+        console.error(`❌ TRANSCRIPT INVALID after ${result.moves} good move(s): ${result.reason}`);
+        process.exit(1);
+    }
+    console.log(`✅ ${result.moves} move(s) replayed, every signature and state hash checks out.`);
+    if (transcript.endReason === 'TIMEOUT') console.log("⏱  Ended on the clock: the loser was on turn after the last signed move.");
+    if (!result.winner) {
+        console.log("Match undecided - nothing to settle yet.");
+        return;
+    }
+
+    const { signature, typedSettlement, signerAddress } = transcript.settlement || {};
+    if (!signature) {
+        console.log("⚠️ No settlement signature issued yet.");
+        return;
+    }
+    const expectedSigner = pinnedSigner || signerAddress;
+    if (!expectedSigner) {
+        console.error("❌ Transcript names no settlement signer - pass --signer");
+        process.exit(1);
+    }
+
+    const legacy = verifyLegacySettlement(ethers, { chainId: transcript.chainId, matchId: transcript.matchId, winner: result.winner, signature }, expectedSigner);
+    if (!legacy.ok) {
+        console.error(`❌ Settlement signature does not pay ${result.winner}: ${legacy.reason}`);
+        process.exit(1);
+    }
+    if (typedSettlement) {
+        // Expiry doesn't matter for a dispute - only who it pays and who signed it
+        const typed = verifyTypedSettlement(ethers, typedSettlement, {
+            chainId: transcript.chainId,
+            contractAddress: transcript.contractAddress,
+            matchId: transcript.matchId,
+            winner: result.winner,
+            signer: expectedSigner
+        }, 0);
+        if (!typed.ok) {
+            console.error(`❌ Typed settlement does not pay ${result.winner}: ${typed.reason}`);
+            process.exit(1);
+        }
+    }
+    console.log(`🎉 Settlement signed by ${legacy.signer} pays ${result.winner}, matching the moves.`);
+    if (!pinnedSigner) console.log("Note: pass --signer <trustedSigner()> to check that key against the contract.");
+}
+
+verify();
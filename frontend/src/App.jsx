@@ -1,19 +1,71 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { ethers } from 'ethers';
 import confetti from 'canvas-confetti';
 import { CONTRACT_ADDRESS, CONTRACT_ABI } from './utils/contract';
+import { NETWORK, ensureNetwork, explorerTxUrl } from './utils/network';
+import { loadSession, clearSession, signIn } from './utils/auth';
+import { verifyClaim } from './utils/settlement';
+import { signMove } from './utils/transcript';
+import { ApiError, readJson, describeError } from './utils/api';
+import { useGameChannel } from './hooks/useGameChannel';
+import { validateMove, applyMove } from '../../shared/engine.js';
+import Replay from './components/Replay';
+import MatchHistory from './components/MatchHistory';
+import OpenGames from './components/OpenGames';
+import Tournaments from './components/Tournaments';
+import Bracket from './components/Bracket';
+import Spectate from './components/Spectate';
+import Leaderboard from './components/Leaderboard';
+import Profile from './components/Profile';
+import UltimateBoard from './components/UltimateBoard';
 import './App.css';
 
 const API_URL = import.meta.env.VITE_API_URL || window.location.origin;
 
+// Board size / k-in-a-row presets offered at creation (and the Ultimate variant)
+const BOARD_PRESETS = {
+  '3/3': { boardSize: 3, winLength: 3, label: 'Classic 3×3' },
+  '4/3': { boardSize: 4, winLength: 3, label: '4×4 · 3 in a row' },
+  '4/4': { boardSize: 4, winLength: 4, label: '4×4 · 4 in a row' },
+  '5/4': { boardSize: 5, winLength: 4, label: '5×5 · 4 in a row' },
+  '6/5': { boardSize: 6, winLength: 5, label: '6×6 · 5 in a row' },
+  'ultimate': { gameType: 'ultimate', boardSize: 3, winLength: 3, label: 'Ultimate · 9 sub-boards' },
+};
+
+// Invite links (?join=<matchId>&stake=<amount>) pre-fill the join form
+const inviteParam = (name) => new URLSearchParams(window.location.search).get(name);
+
 function App() {
   const [account, setAccount] = useState(null);
-  const [matchId, setMatchId] = useState('');
-  const [betAmount, setBetAmount] = useState('0.01');
+  const [session, setSession] = useState(null);
+  const [matchId, setMatchId] = useState(() => inviteParam('join') || '');
+  // Match we are actually in (set once create/join goes through) - matchId is also the join input
+  const [activeMatchId, setActiveMatchId] = useState(null);
+  const [betAmount, setBetAmount] = useState(() => inviteParam('stake') || '0.01');
+  // Private games: invited opponent and/or passcode at creation, passcode when joining
+  const [inviteAddress, setInviteAddress] = useState('');
+  const [invitePasscode, setInvitePasscode] = useState('');
+  const [joinPasscode, setJoinPasscode] = useState('');
+  const [moveTimeout, setMoveTimeout] = useState('60');
+  const [bestOf, setBestOf] = useState('1');
+  const [boardPreset, setBoardPreset] = useState('3/3');
   const [usdValue, setUsdValue] = useState(null);
-  const [gameState, setGameState] = useState(null);
+  const { gameState, refresh: fetchGameState, spectators, error: channelError } = useGameChannel(API_URL, activeMatchId);
+  // Practice vs the server AI: works without a wallet through a guest session from /practice
+  const [difficulty, setDifficulty] = useState('perfect');
+  const [guest, setGuest] = useState(null);
+  const me = gameState?.practice && guest ? guest.address : account;
+  // Our move rendered ahead of the server: { base, game }. Only shown while `base` is still
+  // the latest server state, so any push from the server replaces it.
+  const [pendingMove, setPendingMove] = useState(null);
   const [loading, setLoading] = useState(false);
   const [toast, setToast] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [replayId, setReplayId] = useState(null);
+  // Secondary pages: { name: 'leaderboard' } | { name: 'profile', address }
+  const [page, setPage] = useState(null);
+  // Spectator mode: ?watch=<matchId> opens a read-only view, no wallet needed
+  const [watchId, setWatchId] = useState(() => new URLSearchParams(window.location.search).get('watch'));
 
   // Auto-connect wallet on load
   useEffect(() => {
@@ -24,7 +76,9 @@ function App() {
           const accounts = await provider.listAccounts();
           if (accounts.length > 0) {
             const signer = await provider.getSigner();
-            setAccount((await signer.getAddress()).toLowerCase());
+            const address = (await signer.getAddress()).toLowerCase();
+            setAccount(address);
+            setSession(loadSession(address));
           }
         } catch (e) {
           // User hasn't connected yet, that's fine
@@ -34,6 +88,13 @@ function App() {
     autoConnect();
   }, []);
 
+  // Keep spectator mode in sync with browser back/forward
+  useEffect(() => {
+    const onPopState = () => setWatchId(new URLSearchParams(window.location.search).get('watch'));
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
   // Real-time USD price (updates every 30s)
   useEffect(() => {
     const fetchPrice = async () => {
@@ -53,16 +114,45 @@ function App() {
     return () => clearInterval(interval);
   }, [betAmount]);
 
-  // Poll Game State
+  // Announce finished rounds (draw resets and series rounds)
+  const roundCountRef = useRef(null);
+  const roundResults = gameState?.roundResults;
+  useEffect(() => {
+    const count = roundResults ? roundResults.length : null;
+    const prevCount = roundCountRef.current;
+    roundCountRef.current = count;
+    if (prevCount === null || count === null || count <= prevCount) return;
+
+    const last = roundResults[count - 1];
+    if (!last.winner) showToast("Draw! Board reset - keep playing!", "info");
+    else if (gameState.status === 'PLAYING') {
+      showToast(last.winner === me ? "You won the round! 🎯" : "Opponent won the round", "info");
+    }
+  }, [roundResults, gameState?.status, me]);
+
+  // The match is gone (e.g. a practice game cleaned up after an hour) or the server
+  // is refusing lookups - say so instead of sitting on a dead match
+  useEffect(() => {
+    if (!channelError) return;
+    if (channelError.status === 404) {
+      showToast("Match not found - it may have expired", "error");
+      leaveGame();
+    } else {
+      showToast(describeError(channelError, "Could not load the game"), "error");
+    }
+  }, [channelError]);
+
+  // Tick the move clock while a turn deadline is running
+  const turnDeadline = gameState?.status === 'PLAYING' ? gameState.turnDeadline : null;
   useEffect(() => {
-    if (!matchId) return;
-    const interval = setInterval(fetchGameState, 2000);
+    if (!turnDeadline) return;
+    const interval = setInterval(() => setNow(Date.now()), 250);
     return () => clearInterval(interval);
-  }, [matchId]);
+  }, [turnDeadline]);
 
   // Confetti on win
   useEffect(() => {
-    if (gameState?.status === 'COMPLETED' && gameState?.winner === account) {
+    if (gameState?.status === 'COMPLETED' && gameState?.winner === me) {
       // Trigger dramatic confetti
       const duration = 3000;
       const end = Date.now() + duration;
@@ -90,7 +180,7 @@ function App() {
         }
       })();
     }
-  }, [gameState?.status, gameState?.winner, account]);
+  }, [gameState?.status, gameState?.winner, me]);
 
   // Toast auto-dismiss
   useEffect(() => {
@@ -104,24 +194,6 @@ function App() {
     setToast({ message, type });
   };
 
-  const fetchGameState = async () => {
-    try {
-      const res = await fetch(`${API_URL}/gameState/${matchId}`);
-      if (res.ok) {
-        const prevBoard = gameState?.board;
-        const data = await res.json();
-
-        // Detect board reset (draw scenario)
-        if (prevBoard && !prevBoard.includes(null) &&
-          data.board && data.board.every(cell => cell === null)) {
-          showToast("Draw! Board reset - keep playing!", "info");
-        }
-
-        setGameState(data);
-      }
-    } catch (e) { /* ignore errors while polling */ }
-  };
-
   const connectWallet = async () => {
     if (!window.ethereum) {
       showToast("Please install MetaMask!", "error");
@@ -131,14 +203,41 @@ function App() {
       const provider = new ethers.BrowserProvider(window.ethereum);
       await provider.send("eth_requestAccounts", []);
       const signer = await provider.getSigner();
-      setAccount((await signer.getAddress()).toLowerCase());
+      const address = (await signer.getAddress()).toLowerCase();
+      setAccount(address);
+      setSession(loadSession(address) || await signIn(API_URL, signer));
       showToast("Wallet connected!", "success");
     } catch (e) {
-      showToast("Connection failed", "error");
+      // Server-side sign-in errors (e.g. rate limited) are worth showing; wallet errors are noise
+      showToast(e instanceof ApiError ? describeError(e) : "Connection failed", "error");
+    }
+  };
+
+  // Returns auth headers, asking MetaMask to sign in first if we have no session
+  const authHeaders = async () => {
+    let current = session;
+    if (!current || current.address !== account || current.expiresAt <= Date.now()) {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      current = await signIn(API_URL, await provider.getSigner());
+      setSession(current);
+    }
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${current.token}`
+    };
+  };
+
+  // Server rejected our token (expired / restarted) - force a fresh sign-in next time
+  const handleUnauthorized = (res) => {
+    if (res.status === 401) {
+      clearSession();
+      setSession(null);
     }
   };
 
   const getContract = async () => {
+    if (!CONTRACT_ADDRESS) throw new Error(`No contract deployed on ${NETWORK.name} - set VITE_CONTRACT_ADDRESS`);
+    await ensureNetwork(window.ethereum);
     const provider = new ethers.BrowserProvider(window.ethereum);
     const signer = await provider.getSigner();
     return new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
@@ -149,6 +248,26 @@ function App() {
     showToast("Match ID copied!", "success");
   };
 
+  const copyInviteLink = () => {
+    navigator.clipboard.writeText(`${window.location.origin}/?join=${matchId}&stake=${betAmount}`);
+    showToast("Invite link copied!", "success");
+  };
+
+  const copySpectatorLink = () => {
+    navigator.clipboard.writeText(`${window.location.origin}/?watch=${matchId}`);
+    showToast("Spectator link copied!", "success");
+  };
+
+  const watchMatch = (id) => {
+    window.history.pushState(null, '', `?watch=${id}`);
+    setWatchId(id);
+  };
+
+  const stopWatching = () => {
+    window.history.pushState(null, '', window.location.pathname);
+    setWatchId(null);
+  };
+
   // 1. Create Game
   const createGame = async () => {
     if (!betAmount || parseFloat(betAmount) <= 0) {
@@ -160,12 +279,22 @@ function App() {
       // A. Create on Backend
       const res = await fetch(`${API_URL}/createGame`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ playerA: account })
+        headers: await authHeaders(),
+        body: JSON.stringify({
+          moveTimeout: Number(moveTimeout),
+          bestOf: Number(bestOf),
+          gameType: BOARD_PRESETS[boardPreset].gameType || 'classic',
+          boardSize: BOARD_PRESETS[boardPreset].boardSize,
+          winLength: BOARD_PRESETS[boardPreset].winLength,
+          opponent: inviteAddress.trim() || undefined,
+          passcode: invitePasscode || undefined
+        })
       });
-      const data = await res.json();
+      handleUnauthorized(res);
+      const data = await readJson(res, "Failed to create game");
       const newMatchId = data.matchId;
       setMatchId(newMatchId);
+      setActiveMatchId(newMatchId);
 
       // B. Create on Blockchain
       const contract = await getContract();
@@ -175,77 +304,337 @@ function App() {
       showToast(`Game created! Match ID: ${newMatchId}`, "success");
     } catch (err) {
       console.error(err);
-      showToast(err.message || "Failed to create game", "error");
+      showToast(describeError(err, "Failed to create game"), "error");
       setMatchId('');
+      setActiveMatchId(null);
     }
     setLoading(false);
   };
 
-  // 2. Join Game
-  const joinGame = async () => {
-    if (!matchId || matchId.length !== 6) {
+  // 2. Join Game (from the ID box, or one-click from the lobby with the on-chain stake)
+  const joinGame = async (joinId = matchId, stake = betAmount) => {
+    if (!joinId || joinId.length !== 6) {
       showToast("Enter a valid 6-digit Match ID", "error");
       return;
     }
+    setMatchId(joinId);
+    setBetAmount(stake);
     setLoading(true);
     try {
+      // Private games refuse other players only after the deposit - ask first
+      const check = await fetch(`${API_URL}/games/${joinId}/invite`, {
+        method: 'POST',
+        headers: await authHeaders(),
+        body: JSON.stringify({ passcode: joinPasscode || undefined })
+      });
+      handleUnauthorized(check);
+      await readJson(check, "You can't join this game");
+
       // A. Join on Blockchain
       const contract = await getContract();
-      const tx = await contract.joinWager(matchId, { value: ethers.parseEther(betAmount) });
+      const wager = await contract.wagers(joinId);
+      if (wager.playerA === ethers.ZeroAddress) throw new Error("The creator hasn't locked their stake yet - try again shortly");
+      const tx = await contract.joinWager(joinId, { value: ethers.parseEther(stake) });
       await tx.wait();
 
-      // B. Join on Backend
-      await fetch(`${API_URL}/joinGame`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ matchId, playerB: account })
-      });
+      // B. Join on Backend (retry while the backend's RPC node catches up with our tx)
+      let res;
+      for (let attempt = 0; attempt < 5; attempt++) {
+        res = await fetch(`${API_URL}/joinGame`, {
+          method: 'POST',
+          headers: await authHeaders(),
+          body: JSON.stringify({ matchId: joinId, passcode: joinPasscode || undefined })
+        });
+        if (res.status !== 409) break;
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      }
+      handleUnauthorized(res);
+      await readJson(res, "Failed to join");
 
       showToast("Joined! Game starting...", "success");
-      fetchGameState();
+      setActiveMatchId(joinId);
+      if (inviteParam('join')) window.history.replaceState(null, '', window.location.pathname);
     } catch (err) {
       console.error(err);
-      showToast(err.message || "Failed to join", "error");
+      showToast(describeError(err, "Failed to join"), "error");
     }
     setLoading(false);
   };
 
-  // 3. Play Move
+  // 3. Play Move (practice games with a guest seat use the guest token instead of a wallet session;
+  // wagered games also need the wallet's signature over the move for the transcript)
   const makeMove = async (index) => {
-    if (!gameState || gameState.turn !== account) return;
+    if (!gameState) return;
+    // Same rules the server applies - reject locally, otherwise show the move right away
+    const invalid = validateMove(gameState, me, index, Date.now());
+    if (invalid) {
+      showToast(invalid.message, "error");
+      return;
+    }
     try {
-      await fetch(`${API_URL}/makeMove`, {
+      const signature = gameState.stateHash ? await signMove(gameState, index) : undefined;
+      setPendingMove({ base: gameState, game: applyMove(gameState, me, index).game });
+      const headers = gameState.practice && guest
+        ? { 'Content-Type': 'application/json', 'Authorization': `Bearer ${guest.token}` }
+        : await authHeaders();
+      const res = await fetch(`${API_URL}/makeMove`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ matchId, player: account, index })
+        headers,
+        body: JSON.stringify({ matchId, index, signature })
       });
-      fetchGameState();
+      handleUnauthorized(res);
+      await readJson(res, "Move rejected");
     } catch (err) {
+      // Roll back to the server's board
       console.error(err);
+      setPendingMove(null);
+      showToast(describeError(err, "Move rejected"), "error");
     }
+    fetchGameState();
   };
 
   // 4. Claim Prize
   const claimPrize = async () => {
-    if (!gameState || !gameState.signature) return;
+    if (!gameState) return;
     setLoading(true);
     try {
+      // Signing can be held back if the backend couldn't confirm the escrow, typed
+      // attestations expire, and the contract may have rotated to a new signer
+      // since this win was signed - ask again in any of those cases
       const contract = await getContract();
-      const tx = await contract.settle(matchId, account, gameState.signature);
-      await tx.wait();
+      // Claimed from another tab or device the tracker hasn't caught up with yet
+      const wager = await contract.wagers(matchId);
+      if (wager.settled) {
+        showToast("Prize already claimed", "info");
+        setLoading(false);
+        return;
+      }
+
+      let { signature, typedSettlement } = gameState;
+      const expired = typedSettlement && typedSettlement.message.deadline < Date.now() / 1000;
+      const trustedSigner = await contract.trustedSigner().catch(() => null);
+      const rotated = trustedSigner && gameState.signerAddress
+        && trustedSigner.toLowerCase() !== gameState.signerAddress.toLowerCase();
+      if (!signature || expired || rotated) {
+        const res = await fetch(`${API_URL}/claimSignature`, {
+          method: 'POST',
+          headers: await authHeaders(),
+          body: JSON.stringify({ matchId })
+        });
+        handleUnauthorized(res);
+        const data = await readJson(res, "Signature not available yet");
+        signature = data.signature;
+        typedSettlement = data.typedSettlement;
+      }
+
+      await verifyClaim({ apiUrl: API_URL, contract, matchId, winner: account, signature, typedSettlement });
+      const tx = await contract.settle(matchId, account, signature);
+      const receipt = await tx.wait();
       showToast("Prize claimed! 💰", "success");
+
+      // Let the backend mark the game settled right away (its poller would get there too)
+      fetch(`${API_URL}/games/${matchId}/settlement`, {
+        method: 'POST',
+        headers: await authHeaders(),
+        body: JSON.stringify({ txHash: receipt.hash })
+      }).catch(() => { /* picked up by the poller */ });
+    } catch (err) {
+      console.error(err);
+      showToast(describeError(err, "Claim failed"), "error");
+    }
+    setLoading(false);
+  };
+
+  // 5. Cancel & Refund (creator, before anyone joins)
+  const refundStake = async () => {
+    const contract = await getContract();
+    const wager = await contract.wagers(matchId);
+    if (wager.playerA.toLowerCase() !== account || wager.joined || wager.settled || wager.stake === 0n) {
+      showToast("No stake to refund for this game", "info");
+      return;
+    }
+    const tx = await contract.cancelWager(matchId);
+    await tx.wait();
+    showToast("Stake refunded! 💸", "success");
+  };
+
+  const cancelGame = async () => {
+    setLoading(true);
+    try {
+      // Close the game on the backend first so nobody can join while the refund is mined
+      if (gameState.status === 'WAITING') {
+        const res = await fetch(`${API_URL}/cancelGame`, {
+          method: 'POST',
+          headers: await authHeaders(),
+          body: JSON.stringify({ matchId })
+        });
+        handleUnauthorized(res);
+        await readJson(res, "Failed to cancel");
+      }
+      await refundStake();
+    } catch (err) {
+      console.error(err);
+      showToast(describeError(err, "Refund failed"), "error");
+    }
+    setLoading(false);
+  };
+
+  // 6. Practice vs AI (no wager - reuses a wallet session if we have one, else the server issues a guest seat)
+  const startPractice = async () => {
+    setLoading(true);
+    try {
+      const signedIn = account && session && session.address === account && session.expiresAt > Date.now();
+      const res = await fetch(`${API_URL}/practice`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(signedIn ? { 'Authorization': `Bearer ${session.token}` } : {})
+        },
+        body: JSON.stringify({
+          difficulty,
+          boardSize: BOARD_PRESETS[boardPreset].boardSize,
+          winLength: BOARD_PRESETS[boardPreset].winLength
+        })
+      });
+      const data = await readJson(res, "Failed to start practice");
+      setGuest(data.guest);
+      setMatchId(data.matchId);
+      setActiveMatchId(data.matchId);
+    } catch (err) {
+      console.error(err);
+      showToast(describeError(err, "Failed to start practice"), "error");
+    }
+    setLoading(false);
+  };
+
+  // 7. Rematch: offering and accepting are the same call; DELETE withdraws or declines
+  const answerRematch = async (method) => {
+    setLoading(true);
+    try {
+      const res = await fetch(`${API_URL}/games/${matchId}/rematch`, { method, headers: await authHeaders() });
+      handleUnauthorized(res);
+      await readJson(res, "Rematch failed");
+    } catch (err) {
+      console.error(err);
+      showToast(describeError(err, "Rematch failed"), "error");
+    }
+    setLoading(false);
+  };
+
+  // Opens a match the server created for us (rematch or tournament game). Its player A
+  // locks the stake with createWager; the invited player joins from the waiting screen.
+  const openLinkedMatch = async ({ matchId: nextId, playerA, stake }, label) => {
+    const openMatch = () => {
+      setPage(null);
+      setBetAmount(ethers.formatEther(stake));
+      setMatchId(nextId);
+      setActiveMatchId(nextId);
+    };
+    if (playerA !== account) {
+      openMatch();
+      return;
+    }
+    setLoading(true);
+    try {
+      const contract = await getContract();
+      const wager = await contract.wagers(nextId);
+      if (wager.playerA === ethers.ZeroAddress) {
+        const tx = await contract.createWager(nextId, { value: stake });
+        await tx.wait();
+      }
+      openMatch();
+      showToast(`${label} created! Match ID: ${nextId}`, "success");
+    } catch (err) {
+      console.error(err);
+      showToast(describeError(err, `Failed to create ${label.toLowerCase()}`), "error");
+    }
+    setLoading(false);
+  };
+
+  // The loser (new player A) locks the same stake; the winner joins once it's mined
+  const playRematch = () => openLinkedMatch(gameState.rematch, "Rematch");
+
+  // 8. Tournaments: matches use the stake and rules currently set in the lobby
+  const createTournament = async ({ name, players, seeding }) => {
+    if (!betAmount || parseFloat(betAmount) <= 0) {
+      showToast("Enter a valid bet amount in the lobby first", "error");
+      return;
+    }
+    setLoading(true);
+    try {
+      const res = await fetch(`${API_URL}/tournaments`, {
+        method: 'POST',
+        headers: await authHeaders(),
+        body: JSON.stringify({
+          name,
+          players,
+          seeding,
+          stake: ethers.parseEther(betAmount).toString(),
+          moveTimeout: Number(moveTimeout),
+          bestOf: Number(bestOf),
+          gameType: BOARD_PRESETS[boardPreset].gameType || 'classic',
+          boardSize: BOARD_PRESETS[boardPreset].boardSize,
+          winLength: BOARD_PRESETS[boardPreset].winLength
+        })
+      });
+      handleUnauthorized(res);
+      const data = await readJson(res, "Failed to create tournament");
+      setPage({ name: 'tournament', id: data.tournament.id });
+      showToast("Tournament created!", "success");
+    } catch (err) {
+      console.error(err);
+      showToast(describeError(err, "Failed to create tournament"), "error");
+    }
+    setLoading(false);
+  };
+
+  const awardWalkover = async (tournamentId, walkoverMatchId, winner) => {
+    if (!window.confirm(`Award match #${walkoverMatchId} to ${winner} and cancel its game?`)) return;
+    setLoading(true);
+    try {
+      const res = await fetch(`${API_URL}/tournaments/${tournamentId}/walkover`, {
+        method: 'POST',
+        headers: await authHeaders(),
+        body: JSON.stringify({ matchId: walkoverMatchId, winner })
+      });
+      handleUnauthorized(res);
+      await readJson(res, "Walkover failed");
+      showToast("Walkover awarded", "success");
     } catch (err) {
       console.error(err);
-      showToast(err.message || "Claim failed", "error");
+      showToast(describeError(err, "Walkover failed"), "error");
     }
     setLoading(false);
   };
 
+  const leaveGame = () => {
+    setActiveMatchId(null);
+    setMatchId('');
+    setGuest(null);
+  };
+
   // RENDER HELPERS
-  const isPlayerA = gameState?.playerA === account;
-  const isPlayerB = gameState?.playerB === account;
+  // Spectating, replays and pages cover the lobby / game screens
+  const overlay = watchId || replayId || page;
+  const shownGame = pendingMove && pendingMove.base === gameState ? pendingMove.game : gameState;
+  const isPlayerA = gameState?.playerA === me;
+  const isPlayerB = gameState?.playerB === me;
   const mySymbol = isPlayerA ? 'X' : (isPlayerB ? 'O' : '?');
-  const turnMsg = gameState?.turn === account ? "YOUR TURN" : "Waiting for opponent...";
+  const turnMsg = shownGame?.turn === me ? "YOUR TURN" : "Waiting for opponent...";
+  const seriesScore = gameState?.bestOf > 1 && gameState.seriesWins && (
+    isPlayerB
+      ? [gameState.seriesWins.playerB, gameState.seriesWins.playerA]
+      : [gameState.seriesWins.playerA, gameState.seriesWins.playerB]
+  );
+  const secondsLeft = turnDeadline ? Math.max(0, Math.ceil((turnDeadline - now) / 1000)) : null;
+  const clock = secondsLeft !== null && `${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')}`;
+  const gameOverMsg = () => {
+    if (gameState.winner === 'DRAW') return "It's a DRAW!";
+    if (gameState.winner === me) {
+      return gameState.endReason === 'TIMEOUT' ? "🎉 YOU WON! Opponent ran out of time 🎉" : "🎉 YOU WON! 🎉";
+    }
+    return gameState.endReason === 'TIMEOUT' ? "You ran out of time 😢" : "You Lost 😢";
+  };
 
   return (
     <div className="container">
@@ -258,18 +647,74 @@ function App() {
 
       <header>
         <h1>❌ Tic-Tac-Toe Wager ⭕</h1>
+        {NETWORK.key !== 'polygon' && <span className="network-badge">{NETWORK.name}</span>}
         {!account ? (
           <button onClick={connectWallet} className="connect-btn">Connect Wallet</button>
         ) : (
-          <div className="wallet-info">
+          <button className="wallet-info" onClick={() => setPage({ name: 'profile', address: account })}>
             <span>{account.slice(0, 6)}...{account.slice(-4)}</span>
-          </div>
+          </button>
         )}
       </header>
 
       <main>
+        {/* SPECTATOR */}
+        {watchId && (
+          <Spectate apiUrl={API_URL} matchId={watchId} onClose={stopWatching} />
+        )}
+
+        {/* REPLAY */}
+        {!watchId && replayId && (
+          <Replay apiUrl={API_URL} matchId={replayId} onClose={() => setReplayId(null)} />
+        )}
+
+        {/* LEADERBOARD / PROFILE */}
+        {!watchId && !replayId && page?.name === 'leaderboard' && (
+          <Leaderboard
+            apiUrl={API_URL}
+            account={account}
+            onProfile={address => setPage({ name: 'profile', address })}
+            onClose={() => setPage(null)}
+          />
+        )}
+        {!watchId && !replayId && page?.name === 'profile' && (
+          <Profile
+            key={page.address}
+            apiUrl={API_URL}
+            address={page.address}
+            onReplay={setReplayId}
+            onProfile={address => setPage({ name: 'profile', address })}
+            onClose={() => setPage(null)}
+          />
+        )}
+
+        {/* TOURNAMENTS */}
+        {!watchId && !replayId && page?.name === 'tournaments' && (
+          <Tournaments
+            apiUrl={API_URL}
+            account={account}
+            loading={loading}
+            onCreate={createTournament}
+            onOpen={id => setPage({ name: 'tournament', id })}
+            onClose={() => setPage(null)}
+          />
+        )}
+        {!watchId && !replayId && page?.name === 'tournament' && (
+          <Bracket
+            key={page.id}
+            apiUrl={API_URL}
+            id={page.id}
+            account={account}
+            loading={loading}
+            onPlay={match => openLinkedMatch(match, "Tournament match")}
+            onWatch={watchMatch}
+            onWalkover={(walkoverMatchId, winner) => awardWalkover(page.id, walkoverMatchId, winner)}
+            onClose={() => setPage({ name: 'tournaments' })}
+          />
+        )}
+
         {/* LOBBY */}
-        {!gameState && (
+        {!overlay && !gameState && (
           <div className="card">
             <h2>Start or Join</h2>
             <div className="input-group">
@@ -289,9 +734,50 @@ function App() {
               )}
             </div>
 
+            <div className="input-group">
+              <label>Time per Move</label>
+              <select value={moveTimeout} onChange={e => setMoveTimeout(e.target.value)}>
+                <option value="30">30 seconds</option>
+                <option value="60">1 minute</option>
+                <option value="120">2 minutes</option>
+                <option value="300">5 minutes</option>
+              </select>
+            </div>
+
+            <div className="input-group">
+              <label>Board</label>
+              <select value={boardPreset} onChange={e => setBoardPreset(e.target.value)}>
+                {Object.entries(BOARD_PRESETS).map(([key, preset]) => (
+                  <option key={key} value={key}>{preset.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="input-group">
+              <label>Series</label>
+              <select value={bestOf} onChange={e => setBestOf(e.target.value)}>
+                <option value="1">Single game</option>
+                <option value="3">Best of 3</option>
+                <option value="5">Best of 5</option>
+              </select>
+            </div>
+
             <div className="lobby-actions">
               <div className="action-section">
                 <h3>Create New Game</h3>
+                <input
+                  type="text"
+                  placeholder="Invite address (optional)"
+                  value={inviteAddress}
+                  onChange={e => setInviteAddress(e.target.value)}
+                />
+                <input
+                  type="text"
+                  placeholder="Passcode (optional)"
+                  value={invitePasscode}
+                  onChange={e => setInvitePasscode(e.target.value)}
+                  maxLength={64}
+                />
                 <button onClick={createGame} disabled={!account || loading} className="btn-primary">
                   {loading ? 'Creating...' : 'Create & Pay'}
                 </button>
@@ -306,62 +792,212 @@ function App() {
                   onChange={e => setMatchId(e.target.value)}
                   maxLength={6}
                 />
-                <button onClick={joinGame} disabled={!account || !matchId || loading} className="btn-secondary">
+                <input
+                  type="text"
+                  placeholder="Passcode (private games)"
+                  value={joinPasscode}
+                  onChange={e => setJoinPasscode(e.target.value)}
+                  maxLength={64}
+                />
+                <button onClick={() => joinGame()} disabled={!account || !matchId || loading} className="btn-secondary">
                   {loading ? 'Joining...' : 'Join & Pay'}
                 </button>
+                <button onClick={() => watchMatch(matchId)} disabled={matchId.length !== 6} className="btn-secondary">
+                  👁 Watch
+                </button>
               </div>
             </div>
+
+            <div className="action-section practice-section">
+              <h3>🤖 Practice vs AI</h3>
+              <p className="share-hint">Free game on the board above - no wallet or stake needed (classic boards only)</p>
+              <select value={difficulty} onChange={e => setDifficulty(e.target.value)}>
+                <option value="random">Random</option>
+                <option value="easy">Easy</option>
+                <option value="medium">Medium</option>
+                <option value="perfect">Perfect</option>
+              </select>
+              <button onClick={startPractice} disabled={loading || BOARD_PRESETS[boardPreset].gameType === 'ultimate'} className="btn-secondary">
+                {loading ? 'Starting...' : 'Play for Free'}
+              </button>
+            </div>
+
+            <OpenGames apiUrl={API_URL} account={account} loading={loading} onJoin={joinGame} />
+
+            {account && <MatchHistory apiUrl={API_URL} account={account} token={session?.address === account ? session.token : null} onReplay={setReplayId} />}
+
+            <button onClick={() => setPage({ name: 'leaderboard' })} className="btn-secondary">🏆 Leaderboard</button>
+            <button onClick={() => setPage({ name: 'tournaments' })} className="btn-secondary">🏟 Tournaments</button>
           </div>
         )}
 
         {/* WAITING SCREEN */}
-        {gameState && gameState.status === 'WAITING' && (
+        {!overlay && gameState && gameState.status === 'WAITING' && (
           <div className="card waiting-card">
             <h2>Waiting for Opponent...</h2>
             <div className="match-id-display">
               <p className="match-id">{matchId}</p>
               <button onClick={copyMatchId} className="btn-copy">📋 Copy ID</button>
             </div>
-            <p className="share-hint">Share this ID with your opponent</p>
+            {isPlayerA && <button onClick={copyInviteLink} className="btn-copy">🔗 Copy Invite Link</button>}
+            {gameState.private ? (
+              <p className="share-hint">
+                🔒 Private match
+                {gameState.invitedOpponent && <> · only {gameState.invitedOpponent.slice(0, 6)}...{gameState.invitedOpponent.slice(-4)} can join</>}
+                {isPlayerA && invitePasscode && <> · passcode <strong>{invitePasscode}</strong></>}
+              </p>
+            ) : (
+              <p className="share-hint">Share this ID with your opponent</p>
+            )}
             <div className="spinner"></div>
+            {!isPlayerA && gameState.invitedOpponent === account && (
+              <>
+                <p className="share-hint">
+                  {gameState.rematchOf ? `Rematch of #${gameState.rematchOf}` : 'You are invited'} - join once your opponent has locked their stake
+                </p>
+                <button onClick={() => joinGame(matchId, betAmount)} disabled={loading} className="btn-primary">
+                  {loading ? 'Joining...' : `Join & Pay ${betAmount} ${NETWORK.nativeCurrency.symbol}`}
+                </button>
+              </>
+            )}
+            {isPlayerA && (
+              <button onClick={cancelGame} disabled={loading} className="btn-secondary cancel-refund">
+                {loading ? 'Cancelling...' : 'Cancel & Refund'}
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* CANCELLED / EXPIRED */}
+        {!overlay && gameState && gameState.status === 'CANCELLED' && (
+          <div className="card waiting-card">
+            <h2>{gameState.endReason === 'EXPIRED' ? 'Game Expired' : 'Game Cancelled'}</h2>
+            <p className="share-hint">
+              {gameState.endReason === 'EXPIRED'
+                ? 'Nobody joined in time. This game can no longer be joined.'
+                : 'This game was cancelled and can no longer be joined.'}
+            </p>
+            {isPlayerA && (
+              <button onClick={cancelGame} disabled={loading} className="btn-primary cancel-refund">
+                {loading ? 'Refunding...' : 'Refund Stake'}
+              </button>
+            )}
+            <button onClick={leaveGame} className="btn-secondary">Back to Lobby</button>
           </div>
         )}
 
         {/* GAME BOARD */}
-        {gameState && (gameState.status === 'PLAYING' || gameState.status === 'COMPLETED') && (
+        {!overlay && gameState && (gameState.status === 'PLAYING' || gameState.status === 'COMPLETED') && (
           <div className="game-container">
             <div className="status-bar">
-              <p>You are: <strong>{mySymbol}</strong></p>
+              {gameState.practice && <p className="series-score">🤖 Practice vs AI · {gameState.difficulty}</p>}
+              <p>You are: <strong>{mySymbol}</strong>{spectators > 0 && <span className="spectator-count"> · 👁 {spectators}</span>}</p>
+              {gameState.boardSize > 3 && (
+                <p className="series-score">{gameState.boardSize}×{gameState.boardSize} · {gameState.winLength} in a row</p>
+              )}
+              {gameState.gameType === 'ultimate' && (
+                <p className="series-score">Ultimate · your move sends your opponent to that sub-board</p>
+              )}
+              {seriesScore && (
+                <p className="series-score">
+                  Best of {gameState.bestOf} · You <strong>{seriesScore[0]}</strong> – <strong>{seriesScore[1]}</strong> Opponent
+                </p>
+              )}
               {gameState.status === 'PLAYING' && <p className="turn-indicator">{turnMsg}</p>}
-              {gameState.status === 'COMPLETED' && (
-                <p className="game-over">
-                  {gameState.winner === 'DRAW' ? "It's a DRAW!" :
-                    (gameState.winner === account ? "🎉 YOU WON! 🎉" : "You Lost 😢")}
+              {clock && (
+                <p className={`turn-timer ${secondsLeft <= 10 ? 'urgent' : ''}`}>
+                  ⏱ {gameState.turn === me ? 'Your' : "Opponent's"} time: {clock}
                 </p>
               )}
+              {gameState.status === 'COMPLETED' && (
+                <p className="game-over">{gameOverMsg()}</p>
+              )}
             </div>
 
-            <div className="board">
-              {gameState.board.map((cell, i) => (
-                <button
-                  key={i}
-                  className={`cell ${cell ? cell : ''}`}
-                  onClick={() => makeMove(i)}
-                  disabled={!!cell || gameState.turn !== account || gameState.status !== 'PLAYING'}
-                >
-                  {cell}
-                </button>
-              ))}
-            </div>
+            {shownGame.gameType === 'ultimate' ? (
+              <UltimateBoard
+                board={shownGame.board}
+                activeSubBoard={shownGame.activeSubBoard}
+                highlight={shownGame.status === 'PLAYING'}
+                canMove={shownGame.turn === me && shownGame.status === 'PLAYING'}
+                onMove={makeMove}
+              />
+            ) : (
+              <div className="board" style={{ '--size': gameState.boardSize || 3 }}>
+                {shownGame.board.map((cell, i) => (
+                  <button
+                    key={i}
+                    className={`cell ${cell ? cell : ''}`}
+                    onClick={() => makeMove(i)}
+                    disabled={!!cell || shownGame.turn !== me || shownGame.status !== 'PLAYING'}
+                  >
+                    {cell}
+                  </button>
+                ))}
+              </div>
+            )}
 
-            {/* CLAIM BUTTON */}
-            {gameState.status === 'COMPLETED' && gameState.winner === account && (
+            {/* CLAIM BUTTON / CLAIM STATUS */}
+            {gameState.status === 'COMPLETED' && !gameState.practice && gameState.settled && (
+              <p className="claim-status">
+                ✅ {gameState.winner === me ? 'Prize claimed' : 'Prize claimed by the winner'}
+                {gameState.settledAt && ` · ${new Date(gameState.settledAt).toLocaleString()}`}
+                {gameState.settleTxHash && explorerTxUrl(gameState.settleTxHash) && (
+                  <> · <a href={explorerTxUrl(gameState.settleTxHash)} target="_blank" rel="noreferrer">View transaction ↗</a></>
+                )}
+              </p>
+            )}
+            {gameState.status === 'COMPLETED' && gameState.winner === me && !gameState.practice && !gameState.settled && (
               <div className="claim-section">
                 <button onClick={claimPrize} disabled={loading} className="btn-success">
                   {loading ? 'Claiming...' : '💰 CLAIM PRIZE 💰'}
                 </button>
               </div>
             )}
+
+            {/* REMATCH */}
+            {gameState.status === 'COMPLETED' && !gameState.practice && (isPlayerA || isPlayerB) && (
+              <div className="rematch-section">
+                {!gameState.rematch && (
+                  <button onClick={() => answerRematch('POST')} disabled={loading} className="btn-primary">🔁 Offer Rematch</button>
+                )}
+                {gameState.rematch && !gameState.rematch.matchId && gameState.rematch.offeredBy === me && (
+                  <>
+                    <p className="share-hint">Rematch offered - waiting for your opponent...</p>
+                    <button onClick={() => answerRematch('DELETE')} disabled={loading} className="btn-secondary">Withdraw</button>
+                  </>
+                )}
+                {gameState.rematch && !gameState.rematch.matchId && gameState.rematch.offeredBy !== me && (
+                  <>
+                    <p className="share-hint">Your opponent wants a rematch for the same stake</p>
+                    <button onClick={() => answerRematch('POST')} disabled={loading} className="btn-primary">Accept</button>
+                    <button onClick={() => answerRematch('DELETE')} disabled={loading} className="btn-secondary">Decline</button>
+                  </>
+                )}
+                {gameState.rematch?.matchId && (
+                  <button onClick={playRematch} disabled={loading} className="btn-primary">
+                    {gameState.rematch.playerA === me
+                      ? `🔁 Lock ${ethers.formatEther(gameState.rematch.stake)} ${NETWORK.nativeCurrency.symbol} & Start Rematch`
+                      : '🔁 Go to Rematch'}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {gameState.status === 'COMPLETED' && (
+              <button onClick={() => setReplayId(matchId)} className="btn-secondary">▶ Watch Replay</button>
+            )}
+            {gameState.status === 'PLAYING' && !gameState.practice && (
+              <button onClick={copySpectatorLink} className="btn-copy">👁 Copy Spectator Link</button>
+            )}
+            {gameState.practice && (
+              <div className="practice-actions">
+                {gameState.status === 'COMPLETED' && (
+                  <button onClick={startPractice} disabled={loading} className="btn-primary">🤖 Play Again</button>
+                )}
+                <button onClick={leaveGame} className="btn-secondary">Back to Lobby</button>
+              </div>
+            )}
           </div>
         )}
       </main>
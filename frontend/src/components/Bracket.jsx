@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { NETWORK } from '../utils/network';
+
+const REFRESH_MS = 5000;
+
+const short = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const roundName = (r, total) => {
+  if (r === total - 1) return 'Final';
+  if (r === total - 2) return 'Semi-finals';
+  return `Round ${r + 1}`;
+};
+
+const matchStatus = (match) => {
+  if (match.bye) return 'Bye';
+  if (match.walkover) return 'Walkover';
+  if (match.winner) return 'Done';
+  if (match.status === 'PLAYING') return 'Live';
+  if (match.status === 'WAITING') return 'Waiting';
+  return '';
+};
+
+// Live bracket of one tournament, rounds left to right. Players get a Play link
+// for their open match; everyone else can watch it. The organizer can award a
+// walkover for a match whose game never started.
+function Bracket({ apiUrl, id, account, loading, onPlay, onWatch, onWalkover, onClose }) {
+  const [tournament, setTournament] = useState(null);
+  const [missing, setMissing] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const res = await fetch(`${apiUrl}/tournaments/${id}`);
+        if (cancelled) return;
+        if (res.status === 404) setMissing(true);
+        else if (res.ok) setTournament(await res.json());
+      } catch {
+        // Keep showing the last bracket
+      }
+    };
+    load();
+    const interval = setInterval(load, REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [apiUrl, id]);
+
+  if (missing) {
+    return (
+      <div className="card">
+        <p className="share-hint">Tournament not found.</p>
+        <button onClick={onClose} className="btn-secondary">Back</button>
+      </div>
+    );
+  }
+  if (!tournament) return <div className="card"><div className="spinner"></div></div>;
+
+  const { settings, rounds } = tournament;
+  const seedOf = (address) => tournament.players.find(p => p.address === address).seed;
+  const isOrganizer = tournament.organizer === account;
+
+  // The better seed is the game's player A, who locks the stake first
+  const play = (match) => {
+    const [playerA] = [match.playerA, match.playerB].sort((a, b) => seedOf(a) - seedOf(b));
+    onPlay({ matchId: match.matchId, playerA, stake: settings.stake });
+  };
+
+  const renderPlayer = (match, address) => (
+    <div className={`bracket-player ${match.winner && match.winner === address ? 'winner' : ''} ${address === account ? 'me' : ''}`}>
+      {address ? (
+        <>
+          <span className="bracket-seed">{seedOf(address)}</span>
+          <span>{short(address)}</span>
+          {isOrganizer && match.status === 'WAITING' && !match.winner && (
+            <button onClick={() => onWalkover(match.matchId, address)} disabled={loading} className="link-btn">
+              walkover
+            </button>
+          )}
+        </>
+      ) : (
+        <span className="bracket-tbd">{match.bye ? '-' : 'TBD'}</span>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="card bracket-card">
+      <h2>🏟 {tournament.name}</h2>
+      <p className="share-hint">
+        {ethers.formatEther(settings.stake)} {NETWORK.nativeCurrency.symbol} per match
+        {settings.gameType === 'ultimate' && ' · Ultimate'}
+        {settings.boardSize > 3 && ` · ${settings.boardSize}×${settings.boardSize}/${settings.winLength}`}
+        {settings.bestOf > 1 && ` · Bo${settings.bestOf}`}
+      </p>
+      {tournament.champion && <p className="claim-status">🏆 Champion: {short(tournament.champion)}</p>}
+
+      <div className="bracket">
+        {rounds.map((round, r) => (
+          <div key={r} className="bracket-round">
+            <h3>{roundName(r, rounds.length)}</h3>
+            {round.map((match, i) => {
+              const mine = match.playerA === account || match.playerB === account;
+              const open = match.matchId && !match.winner;
+              return (
+                <div key={i} className="bracket-match">
+                  {renderPlayer(match, match.playerA)}
+                  {renderPlayer(match, match.playerB)}
+                  <div className="bracket-meta">
+                    <span>{match.matchId ? `#${match.matchId}` : ''} {matchStatus(match)}</span>
+                    {open && mine && (
+                      <button onClick={() => play(match)} disabled={loading} className="link-btn">Play</button>
+                    )}
+                    {open && !mine && match.status === 'PLAYING' && (
+                      <button onClick={() => onWatch(match.matchId)} className="link-btn">Watch</button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+
+      <button onClick={onClose} className="btn-secondary">Back</button>
+    </div>
+  );
+}
+
+export default Bracket;
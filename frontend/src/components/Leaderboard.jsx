@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+
+// Top players by ELO rating
+function Leaderboard({ apiUrl, account, onProfile, onClose }) {
+  const [players, setPlayers] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${apiUrl}/leaderboard`)
+      .then(res => res.ok ? res.json() : { players: [] })
+      .then(data => !cancelled && setPlayers(data.players))
+      .catch(() => !cancelled && setPlayers([]));
+    return () => { cancelled = true; };
+  }, [apiUrl]);
+
+  return (
+    <div className="card">
+      <h2>🏆 Leaderboard</h2>
+      {!players && <div className="spinner"></div>}
+      {players && players.length === 0 && <p className="share-hint">No finished matches yet.</p>}
+      {players && players.map(player => (
+        <div key={player.address} className={`leaderboard-row ${player.address === account ? 'me' : ''}`}>
+          <span className="leaderboard-rank">#{player.rank}</span>
+          <button onClick={() => onProfile(player.address)} className="link-btn">
+            {player.address.slice(0, 6)}...{player.address.slice(-4)}
+          </button>
+          <span className="leaderboard-record">{player.wins}W · {player.losses}L</span>
+          <span className="leaderboard-won">{Number(ethers.formatEther(player.totalWon)).toFixed(2)}</span>
+          <span className="leaderboard-rating">{player.rating}</span>
+        </div>
+      ))}
+      <button onClick={onClose} className="btn-secondary">Back</button>
+    </div>
+  );
+}
+
+export default Leaderboard;
@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'react';
+
+// Past matches for the connected wallet, each with a replay link.
+// Private matches are only listed when signed in (token) as that wallet.
+function MatchHistory({ apiUrl, account, token, onReplay }) {
+  const [games, setGames] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${apiUrl}/players/${account}/games`, token ? { headers: { 'Authorization': `Bearer ${token}` } } : undefined)
+      .then(res => res.ok ? res.json() : { games: [] })
+      .then(data => !cancelled && setGames(data.games))
+      .catch(() => { /* history is optional */ });
+    return () => { cancelled = true; };
+  }, [apiUrl, account, token]);
+
+  if (games.length === 0) return null;
+
+  const result = (game) => {
+    if (game.status !== 'COMPLETED') return game.status;
+    return game.winner === account ? 'WON' : 'LOST';
+  };
+
+  return (
+    <div className="history">
+      <h3>Your Matches</h3>
+      {games.map(game => (
+        <div key={game.matchId} className="history-row">
+          <span className="history-id">#{game.matchId}</span>
+          <span className={`history-result ${result(game)}`}>{result(game)}</span>
+          <span className="history-moves">{game.moveCount} moves</span>
+          <button onClick={() => onReplay(game.matchId)} className="btn-copy" disabled={game.moveCount === 0}>
+            ▶ Replay
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default MatchHistory;
@@ -0,0 +1,65 @@
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { NETWORK } from '../utils/network';
+
+const REFRESH_MS = 5000;
+
+const formatAge = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  return `${Math.floor(minutes / 60)}h ago`;
+};
+
+// Public lobby: WAITING games with the stake the creator locked on-chain
+function OpenGames({ apiUrl, account, loading, onJoin }) {
+  const [games, setGames] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const res = await fetch(`${apiUrl}/lobby`);
+        if (res.ok && !cancelled) setGames((await res.json()).games);
+      } catch {
+        // Keep showing the last list
+      }
+    };
+    load();
+    const interval = setInterval(load, REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [apiUrl]);
+
+  return (
+    <div className="open-games">
+      <h3>Open Games</h3>
+      {games.length === 0 && <p className="share-hint">No open games right now - create one!</p>}
+      {games.map(game => (
+        <div key={game.matchId} className="open-game-row">
+          <div className="open-game-info">
+            <span className="history-id">#{game.matchId}</span>
+            <span className="open-game-meta">
+              {game.creator.slice(0, 6)}...{game.creator.slice(-4)} · {formatAge(game.ageMs)}
+              {game.gameType === 'ultimate' && ' · Ultimate'}
+              {game.boardSize > 3 && ` · ${game.boardSize}×${game.boardSize}/${game.winLength}`}
+              {game.bestOf > 1 && ` · Bo${game.bestOf}`}
+            </span>
+          </div>
+          <span className="open-game-stake">{ethers.formatEther(game.stake)} {NETWORK.nativeCurrency.symbol}</span>
+          <button
+            onClick={() => onJoin(game.matchId, ethers.formatEther(game.stake))}
+            disabled={!account || loading || game.creator === account}
+            className="btn-copy"
+          >
+            Join
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default OpenGames;
@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { NETWORK } from '../utils/network';
+
+// One player's stats and recent results
+function Profile({ apiUrl, address, onReplay, onProfile, onClose }) {
+  const [profile, setProfile] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${apiUrl}/players/${address}`)
+      .then(res => res.ok ? res.json() : null)
+      .then(data => !cancelled && setProfile(data))
+      .catch(() => { /* leave the spinner */ });
+    return () => { cancelled = true; };
+  }, [apiUrl, address]);
+
+  if (!profile) return <div className="card"><div className="spinner"></div></div>;
+
+  const played = profile.wins + profile.losses;
+
+  return (
+    <div className="card">
+      <h2>{address.slice(0, 6)}...{address.slice(-4)}</h2>
+      <div className="profile-stats">
+        <div><span className="price-label">Rating</span><strong>{profile.rating}</strong></div>
+        <div><span className="price-label">Record</span><strong>{profile.wins}W · {profile.losses}L</strong></div>
+        <div><span className="price-label">Win rate</span><strong>{played ? Math.round(profile.wins / played * 100) : 0}%</strong></div>
+        <div><span className="price-label">Draw resets</span><strong>{profile.drawsReset}</strong></div>
+        <div className="profile-won"><span className="price-label">Total won</span><strong>{ethers.formatEther(profile.totalWon)} {NETWORK.nativeCurrency.symbol}</strong></div>
+      </div>
+
+      <div className="history">
+        <h3>Recent Matches</h3>
+        {profile.recentMatches.length === 0 && <p className="share-hint">No finished matches yet.</p>}
+        {profile.recentMatches.map(match => (
+          <div key={match.matchId} className="history-row">
+            <span className="history-id">#{match.matchId}</span>
+            <button onClick={() => onProfile(match.opponent)} className="link-btn">
+              vs {match.opponent.slice(0, 6)}...{match.opponent.slice(-4)}
+            </button>
+            <span className={`history-result ${match.result}`}>
+              {match.result} ({match.ratingChange > 0 ? '+' : ''}{match.ratingChange})
+            </span>
+            <button onClick={() => onReplay(match.matchId)} className="btn-copy">▶</button>
+          </div>
+        ))}
+      </div>
+
+      <button onClick={onClose} className="btn-secondary">Back</button>
+    </div>
+  );
+}
+
+export default Profile;
@@ -0,0 +1,89 @@
+import { useState, useEffect } from 'react';
+import UltimateBoard from './UltimateBoard';
+
+const short = (address) => address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '—';
+
+// Steps through a match's move log, one move at a time, across every round
+// (rounds that ended in a draw were reset on the server, but the log keeps them).
+function Replay({ apiUrl, matchId, onClose }) {
+  const [log, setLog] = useState(null);
+  const [error, setError] = useState(null);
+  const [step, setStep] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${apiUrl}/games/${matchId}/moves`)
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load replay');
+        if (!cancelled) setLog(data);
+      })
+      .catch(err => !cancelled && setError(err.message));
+    return () => { cancelled = true; };
+  }, [apiUrl, matchId]);
+
+  if (error) {
+    return (
+      <div className="card">
+        <h2>Replay #{matchId}</h2>
+        <p className="share-hint">{error}</p>
+        <button onClick={onClose} className="btn-secondary">Back</button>
+      </div>
+    );
+  }
+  if (!log) return <div className="card"><div className="spinner"></div></div>;
+
+  const moves = log.moves;
+  const lastRound = moves.length ? moves[moves.length - 1].round : 1;
+  // step = number of moves applied; step 0 is the empty opening board
+  const current = step > 0 ? moves[step - 1] : null;
+  const round = current ? current.round : 1;
+  const ultimate = log.gameType === 'ultimate';
+  const board = Array(ultimate ? 81 : log.boardSize ** 2).fill(null);
+  moves.slice(0, step).filter(m => m.round === round).forEach(m => { board[m.index] = m.symbol; });
+
+  const result = log.roundResults.find(rr => rr.round === round);
+  let roundLabel = 'In progress';
+  if (result) {
+    roundLabel = result.winner ? `Won by ${result.winner === log.playerA ? 'X' : 'O'}` : 'Draw - board reset';
+  } else if (log.status === 'COMPLETED') {
+    roundLabel = log.endReason === 'TIMEOUT' ? 'Won on time' : 'Won';
+  }
+
+  return (
+    <div className="game-container">
+      <div className="status-bar">
+        <p>Replay <strong>#{log.matchId}</strong></p>
+        <p>X: {short(log.playerA)} · O: {short(log.playerB)}</p>
+        <p className="turn-indicator">Round {round} of {lastRound} — {roundLabel}</p>
+        <p>
+          {current
+            ? `Move ${step}/${moves.length}: ${current.symbol} → ${ultimate ? `sub-board ${Math.floor(current.index / 9) + 1}, ` : ''}cell ${(ultimate ? current.index % 9 : current.index) + 1} (${new Date(current.at).toLocaleTimeString()})`
+            : `Start · ${moves.length} moves`}
+        </p>
+      </div>
+
+      {ultimate ? (
+        <UltimateBoard board={board} lastMove={current && board[current.index] ? current.index : null} />
+      ) : (
+        <div className="board" style={{ '--size': log.boardSize }}>
+          {board.map((cell, i) => (
+            <button key={i} className={`cell ${cell ? cell : ''} ${current && current.index === i && cell ? 'last-move' : ''}`} disabled>
+              {cell}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="replay-controls">
+        <button onClick={() => setStep(0)} disabled={step === 0} className="btn-secondary">⏮</button>
+        <button onClick={() => setStep(step - 1)} disabled={step === 0} className="btn-secondary">◀</button>
+        <button onClick={() => setStep(step + 1)} disabled={step === moves.length} className="btn-secondary">▶</button>
+        <button onClick={() => setStep(moves.length)} disabled={step === moves.length} className="btn-secondary">⏭</button>
+      </div>
+      <button onClick={onClose} className="btn-secondary">Back</button>
+    </div>
+  );
+}
+
+export default Replay;
@@ -0,0 +1,65 @@
+import { ethers } from 'ethers';
+import { useGameChannel } from '../hooks/useGameChannel';
+import UltimateBoard from './UltimateBoard';
+import { NETWORK } from '../utils/network';
+import { describeError } from '../utils/api';
+
+const short = (address) => address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '—';
+
+// Read-only live view of a match. No wallet needed - opened via ?watch=<matchId>.
+function Spectate({ apiUrl, matchId, onClose }) {
+  const { gameState, spectators, error, notFound } = useGameChannel(apiUrl, matchId, { spectator: true });
+
+  if (!gameState) {
+    return (
+      <div className="card waiting-card">
+        <h2>Match #{matchId}</h2>
+        {error ? (
+          <p className="share-hint">{notFound ? 'Match not found.' : describeError(error, 'Could not load the match')}</p>
+        ) : (
+          <div className="spinner"></div>
+        )}
+        <button onClick={onClose} className="btn-secondary">Back to Lobby</button>
+      </div>
+    );
+  }
+
+  const symbolOf = (address) => address === gameState.playerA ? 'X' : 'O';
+  let status;
+  if (gameState.status === 'WAITING') status = 'Waiting for an opponent...';
+  else if (gameState.status === 'PLAYING') status = `${symbolOf(gameState.turn)} to move (${short(gameState.turn)})`;
+  else if (gameState.status === 'COMPLETED') status = `${symbolOf(gameState.winner)} wins! (${short(gameState.winner)})`;
+  else status = 'Game cancelled';
+
+  return (
+    <div className="game-container">
+      <div className="status-bar">
+        <p>👁 Watching <strong>#{gameState.matchId}</strong> · {spectators} {spectators === 1 ? 'viewer' : 'viewers'}</p>
+        <p>X: {short(gameState.playerA)} · O: {short(gameState.playerB)}</p>
+        {gameState.stake && <p>Stake: <strong>{ethers.formatEther(gameState.stake)} {NETWORK.nativeCurrency.symbol}</strong> each</p>}
+        {gameState.bestOf > 1 && gameState.seriesWins && (
+          <p className="series-score">
+            Best of {gameState.bestOf} · X <strong>{gameState.seriesWins.playerA}</strong> – <strong>{gameState.seriesWins.playerB}</strong> O
+          </p>
+        )}
+        <p className={gameState.status === 'COMPLETED' ? 'game-over' : 'turn-indicator'}>{status}</p>
+      </div>
+
+      {gameState.gameType === 'ultimate' ? (
+        <UltimateBoard board={gameState.board} activeSubBoard={gameState.activeSubBoard} highlight={gameState.status === 'PLAYING'} />
+      ) : (
+        <div className="board" style={{ '--size': gameState.boardSize || 3 }}>
+          {gameState.board.map((cell, i) => (
+            <button key={i} className={`cell ${cell ? cell : ''}`} disabled>
+              {cell}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <button onClick={onClose} className="btn-secondary">Back to Lobby</button>
+    </div>
+  );
+}
+
+export default Spectate;
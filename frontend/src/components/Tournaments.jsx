@@ -0,0 +1,79 @@
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { NETWORK } from '../utils/network';
+
+// Tournament list, plus the organizer's form. New tournaments take the stake,
+// board, series and move timer currently picked in the lobby.
+function Tournaments({ apiUrl, account, loading, onCreate, onOpen, onClose }) {
+  const [tournaments, setTournaments] = useState(null);
+  const [name, setName] = useState('');
+  const [players, setPlayers] = useState('');
+  const [seeding, setSeeding] = useState('rating');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${apiUrl}/tournaments`)
+      .then(res => res.ok ? res.json() : { tournaments: [] })
+      .then(data => !cancelled && setTournaments(data.tournaments))
+      .catch(() => !cancelled && setTournaments([]));
+    return () => { cancelled = true; };
+  }, [apiUrl]);
+
+  // One address per line (commas and spaces work too)
+  const addresses = players.split(/[\s,]+/).filter(Boolean).map(a => a.toLowerCase());
+
+  return (
+    <div className="card">
+      <h2>🏟 Tournaments</h2>
+      {!tournaments && <div className="spinner"></div>}
+      {tournaments && tournaments.length === 0 && <p className="share-hint">No tournaments yet.</p>}
+      {tournaments && tournaments.map(t => (
+        <div key={t.id} className="open-game-row">
+          <div className="open-game-info">
+            <span className="history-id">{t.name}</span>
+            <span className="open-game-meta">
+              {t.playerCount} players · {t.status === 'COMPLETED'
+                ? `won by ${t.champion.slice(0, 6)}...${t.champion.slice(-4)}`
+                : `round ${t.currentRound} of ${t.rounds}`}
+            </span>
+          </div>
+          <span className="open-game-stake">{ethers.formatEther(t.stake)} {NETWORK.nativeCurrency.symbol}</span>
+          <button onClick={() => onOpen(t.id)} className="btn-copy">Bracket</button>
+        </div>
+      ))}
+
+      <div className="action-section tournament-form">
+        <h3>New Tournament</h3>
+        <input
+          type="text"
+          placeholder="Name"
+          value={name}
+          onChange={e => setName(e.target.value)}
+          maxLength={60}
+        />
+        <textarea
+          placeholder="Player addresses, one per line"
+          value={players}
+          onChange={e => setPlayers(e.target.value)}
+          rows={4}
+        />
+        <select value={seeding} onChange={e => setSeeding(e.target.value)}>
+          <option value="rating">Seed by rating</option>
+          <option value="listed">Seed in listed order</option>
+        </select>
+        <button
+          onClick={() => onCreate({ name: name.trim(), players: addresses, seeding })}
+          disabled={!account || loading || !name.trim() || addresses.length < 2}
+          className="btn-primary"
+        >
+          {loading ? 'Creating...' : `Create with ${addresses.length} players`}
+        </button>
+        <p className="share-hint">Uses the stake, board, series and time per move set in the lobby.</p>
+      </div>
+
+      <button onClick={onClose} className="btn-secondary">Back</button>
+    </div>
+  );
+}
+
+export default Tournaments;
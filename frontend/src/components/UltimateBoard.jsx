@@ -0,0 +1,34 @@
+import { getSubBoardWinners } from '../../../shared/engine.js';
+
+// Ultimate Tic-Tac-Toe grid: nine 3x3 sub-boards (board index = subBoard * 9 + cell).
+// With `highlight`, the sub-boards the player to move may use are lit up; decided
+// sub-boards show their winner. Cells are only clickable when `onMove` is given.
+function UltimateBoard({ board, activeSubBoard, highlight = false, lastMove = null, canMove = false, onMove }) {
+  const winners = getSubBoardWinners(board);
+  const isOpen = (sub) => !winners[sub] && (activeSubBoard == null || activeSubBoard === sub);
+
+  return (
+    <div className="ultimate-board">
+      {winners.map((winner, sub) => (
+        <div key={sub} className={`sub-board ${highlight && isOpen(sub) ? 'active' : ''} ${winner ? `decided ${winner}` : ''}`}>
+          {board.slice(sub * 9, sub * 9 + 9).map((cell, i) => {
+            const index = sub * 9 + i;
+            return (
+              <button
+                key={index}
+                className={`cell ${cell ? cell : ''} ${lastMove === index ? 'last-move' : ''}`}
+                onClick={() => onMove && onMove(index)}
+                disabled={!onMove || !canMove || !!cell || !isOpen(sub)}
+              >
+                {cell}
+              </button>
+            );
+          })}
+          {winner && winner !== 'DRAW' && <span className="sub-board-winner">{winner}</span>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default UltimateBoard;
@@ -0,0 +1,107 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ApiError, readJson } from '../utils/api';
+
+const POLL_INTERVAL_MS = 2000;
+const RECONNECT_DELAY_MS = 3000;
+
+// Live game state for a match.
+// Subscribes to the server's SSE stream; while the stream is down (or the
+// browser has no EventSource) it polls /gameState until the stream is back.
+// Pass { spectator: true } to be counted as a viewer of the match.
+// `error` is the ApiError of the last refused request (notFound: the match
+// doesn't exist). A 404 ends the channel and a 429 pauses it until Retry-After,
+// so a wrong or expired match ID doesn't keep knocking on the server.
+export function useGameChannel(apiUrl, matchId, { spectator = false } = {}) {
+  // Tagged with its matchId so a stale game never shows after switching matches
+  const [latest, setLatest] = useState({ matchId: null, game: null });
+  const gameState = matchId && latest.matchId === matchId ? latest.game : null;
+  const [viewers, setViewers] = useState({ matchId: null, count: 0 });
+  const spectators = viewers.matchId === matchId ? viewers.count : 0;
+  const [failure, setFailure] = useState({ matchId: null, error: null });
+  const error = matchId && failure.matchId === matchId ? failure.error : null;
+
+  // Resolves to the ApiError if the server refused the request, else null
+  const refresh = useCallback(async () => {
+    if (!matchId) return null;
+    try {
+      const game = await readJson(await fetch(`${apiUrl}/gameState/${matchId}`), 'Could not load the game');
+      setLatest({ matchId, game });
+      setFailure({ matchId, error: null });
+      return null;
+    } catch (err) {
+      if (!(err instanceof ApiError)) return null; // Network blip - the next poll or push will catch up
+      setFailure({ matchId, error: err });
+      return err;
+    }
+  }, [apiUrl, matchId]);
+
+  useEffect(() => {
+    if (!matchId) return;
+
+    let source = null;
+    let pollTimer = null;
+    let reconnectTimer = null;
+    let closed = false;
+
+    const stopPolling = () => {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    };
+
+    const disconnect = () => {
+      stopPolling();
+      clearTimeout(reconnectTimer);
+      if (source) source.close();
+      source = null;
+    };
+
+    const poll = async () => {
+      const err = await refresh();
+      if (!err || closed || err.status >= 500) return;
+      // Refused: stop polling and reconnecting - for good on a 404, until Retry-After on a 429
+      disconnect();
+      if (err.code === 'RATE_LIMITED') {
+        reconnectTimer = setTimeout(connect, (err.details?.retryAfterSec || 60) * 1000);
+      }
+    };
+
+    const startPolling = () => {
+      if (pollTimer) return;
+      poll();
+      pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    };
+
+    const connect = () => {
+      if (closed) return;
+      if (typeof EventSource === 'undefined') {
+        startPolling();
+        return;
+      }
+
+      source = new EventSource(`${apiUrl}/events/${matchId}${spectator ? '?role=spectator' : ''}`);
+      source.addEventListener('game', (e) => {
+        setLatest({ matchId, game: JSON.parse(e.data) });
+        setFailure({ matchId, error: null });
+      });
+      source.addEventListener('spectators', (e) => setViewers({ matchId, count: JSON.parse(e.data).count }));
+      source.onopen = stopPolling;
+      source.onerror = () => {
+        startPolling();
+        // EventSource retries by itself unless the server refused the stream
+        if (source && source.readyState === EventSource.CLOSED) {
+          source = null;
+          reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+        }
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      disconnect();
+    };
+  }, [apiUrl, matchId, spectator, refresh]);
+
+  return { gameState, refresh, spectators, error, notFound: error?.status === 404 };
+}
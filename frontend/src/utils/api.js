@@ -0,0 +1,36 @@
+// Failed API call, with the server's machine-readable code (see backend/lib/errors.js)
+export class ApiError extends Error {
+  constructor(message, { code, status, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Parses a JSON response; non-2xx responses (and bodies that aren't JSON) throw an ApiError
+export const readJson = async (res, fallbackMessage = 'Request failed') => {
+  let data = null;
+  try {
+    data = await res.json();
+  } catch {
+    // Empty body or an HTML error page from a proxy
+  }
+  if (!res.ok) {
+    throw new ApiError(data?.error || fallbackMessage, {
+      code: data?.code || `HTTP_${res.status}`,
+      status: res.status,
+      details: data?.details
+    });
+  }
+  return data;
+};
+
+// Toast text for an error, spelling out the cases a player can act on
+export const describeError = (err, fallbackMessage = 'Something went wrong') => {
+  if (err?.code === 'RATE_LIMITED') {
+    return `Too many requests - try again in ${err.details?.retryAfterSec || 60}s`;
+  }
+  return err?.message || fallbackMessage;
+};
@@ -0,0 +1,40 @@
+import { readJson } from './api';
+
+const STORAGE_KEY = 'ttt-session';
+
+// Cached session token so a page reload doesn't ask for a new signature
+export const loadSession = (address) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && saved.address === address && saved.expiresAt > Date.now()) return saved;
+  } catch {
+    // Corrupt entry, fall through
+  }
+  return null;
+};
+
+export const clearSession = () => localStorage.removeItem(STORAGE_KEY);
+
+// Sign-in-with-wallet: fetch a nonce, sign it with MetaMask, trade it for a session token
+export const signIn = async (apiUrl, signer) => {
+  const address = (await signer.getAddress()).toLowerCase();
+
+  const nonceRes = await fetch(`${apiUrl}/auth/nonce`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ address })
+  });
+  const { message } = await readJson(nonceRes, 'Could not start sign-in');
+  const signature = await signer.signMessage(message);
+
+  const verifyRes = await fetch(`${apiUrl}/auth/verify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ address, signature })
+  });
+  const data = await readJson(verifyRes, 'Sign-in failed');
+
+  const session = { address, token: data.token, expiresAt: data.expiresAt };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  return session;
+};
@@ -0,0 +1,40 @@
+import networks from '../../../shared/networks.json';
+
+// Same profiles the backend reads. VITE_NETWORK picks one (default polygon);
+// VITE_CONTRACT_ADDRESS / VITE_RPC_URL override single fields.
+const key = (import.meta.env.VITE_NETWORK || 'polygon').toLowerCase();
+const profile = networks[key];
+if (!profile) throw new Error(`Unknown VITE_NETWORK "${key}"`);
+
+export const NETWORK = {
+  key,
+  ...profile,
+  rpcUrl: import.meta.env.VITE_RPC_URL || profile.rpcUrl,
+  contractAddress: import.meta.env.VITE_CONTRACT_ADDRESS || profile.contractAddress,
+};
+
+export const explorerTxUrl = (hash) => NETWORK.explorer ? `${NETWORK.explorer}/tx/${hash}` : null;
+
+// Make sure MetaMask is on our chain: switch, or add it first if the wallet doesn't know it
+export const ensureNetwork = async (ethereum) => {
+  const chainIdHex = `0x${NETWORK.chainId.toString(16)}`;
+  const current = await ethereum.request({ method: 'eth_chainId' });
+  if (parseInt(current, 16) === NETWORK.chainId) return;
+
+  try {
+    await ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: chainIdHex }] });
+  } catch (err) {
+    // 4902 = chain not added to the wallet yet
+    if (err.code !== 4902 && err?.data?.originalError?.code !== 4902) throw err;
+    await ethereum.request({
+      method: 'wallet_addEthereumChain',
+      params: [{
+        chainId: chainIdHex,
+        chainName: NETWORK.name,
+        rpcUrls: [NETWORK.rpcUrl],
+        nativeCurrency: NETWORK.nativeCurrency,
+        blockExplorerUrls: NETWORK.explorer ? [NETWORK.explorer] : undefined,
+      }],
+    });
+  }
+};
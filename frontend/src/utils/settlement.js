@@ -0,0 +1,29 @@
+import { ethers } from 'ethers';
+import { verifyLegacySettlement, verifyTypedSettlement } from '../../../shared/settlement.js';
+import { NETWORK } from './network';
+
+// Checks the backend's settlement signatures before the user spends gas on
+// `settle`. The trusted signer comes from the contract itself; if the
+// contract doesn't expose it we fall back to the signer the backend reports.
+export const verifyClaim = async ({ apiUrl, contract, matchId, winner, signature, typedSettlement }) => {
+  let trustedSigner;
+  try {
+    trustedSigner = await contract.trustedSigner();
+  } catch {
+    trustedSigner = (await (await fetch(`${apiUrl}/config`)).json()).signer;
+  }
+
+  const legacy = verifyLegacySettlement(ethers, { chainId: NETWORK.chainId, matchId, winner, signature }, trustedSigner);
+  if (!legacy.ok) throw new Error(`Settlement signature rejected: ${legacy.reason}`);
+
+  if (typedSettlement) {
+    const typed = verifyTypedSettlement(ethers, typedSettlement, {
+      chainId: NETWORK.chainId,
+      contractAddress: NETWORK.contractAddress,
+      matchId,
+      winner,
+      signer: trustedSigner,
+    });
+    if (!typed.ok) throw new Error(`Settlement attestation rejected: ${typed.reason}`);
+  }
+};
@@ -0,0 +1,12 @@
+import { ethers } from 'ethers';
+import { MOVE_TYPES, buildMoveDomain, moveMessage } from '../../../shared/transcript.js';
+import { NETWORK, ensureNetwork } from './network';
+
+// Signs a move of a wagered game for the match transcript: the wallet commits to
+// this move on top of the state hash the server last published.
+export const signMove = async (game, index) => {
+  await ensureNetwork(window.ethereum);
+  const signer = await new ethers.BrowserProvider(window.ethereum).getSigner();
+  const domain = buildMoveDomain(NETWORK.chainId, NETWORK.contractAddress);
+  return signer.signTypedData(domain, MOVE_TYPES, moveMessage(game.matchId, game.moves.length + 1, index, game.stateHash));
+};
@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // ../shared holds the network profiles and helpers used by the backend too
+    fs: { allow: ['..'] },
+  },
 })
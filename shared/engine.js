@@ -0,0 +1,187 @@
+// ---------------------------------------------------------
+// GAME ENGINE
+// ---------------------------------------------------------
+// The rules of a match as pure functions over the game record (see the schema
+// in backend/server.js). The backend uses them to referee moves; the frontend
+// uses the same code to render a move before the server confirms it.
+//
+// Nothing here mutates its input, reads the clock or does I/O - callers pass
+// `now` and persist the returned game themselves.
+
+export const DEFAULT_MOVE_TIMEOUT_MS = 60 * 1000;
+
+// 'classic' is one NxN board. 'ultimate' is Ultimate Tic-Tac-Toe: nine 3x3
+// sub-boards stored one after another in an 81-cell board (index = subBoard * 9
+// + cell). Taking a sub-board claims that square of the 3x3 meta-board, and the
+// cell you play picks the sub-board your opponent must play in next - any open
+// one if that sub-board is already decided. Games without gameType are classic.
+export const GAME_TYPES = ['classic', 'ultimate'];
+const SUB_CELLS = 9;
+
+export const isUltimate = (game) => game.gameType === 'ultimate';
+
+// Every run of k cells in a row, column or diagonal on an NxN board.
+// For 3x3 / k=3 these are the classic eight lines.
+const linesCache = new Map();
+export const getWinningLines = (size, k) => {
+  const key = `${size}/${k}`;
+  if (linesCache.has(key)) return linesCache.get(key);
+
+  const lines = [];
+  const directions = [[0, 1], [1, 0], [1, 1], [1, -1]]; // Row, col, diagonal, anti-diagonal
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      for (const [dr, dc] of directions) {
+        const endRow = row + dr * (k - 1);
+        const endCol = col + dc * (k - 1);
+        if (endRow >= size || endCol < 0 || endCol >= size) continue;
+        const line = [];
+        for (let step = 0; step < k; step++) line.push((row + dr * step) * size + (col + dc * step));
+        lines.push(line);
+      }
+    }
+  }
+
+  linesCache.set(key, lines);
+  return lines;
+};
+
+// 'X' | 'O' for the first completed line, else null
+export const checkWin = (board, size = 3, k = 3) => {
+  const lines = getWinningLines(size, k);
+  for (let i = 0; i < lines.length; i++) {
+    const [first, ...rest] = lines[i];
+    if (board[first] && rest.every(cell => board[cell] === board[first])) {
+      return board[first];
+    }
+  }
+  return null;
+};
+
+// 'X' | 'O' | 'DRAW' | null (still open) for each sub-board of an ultimate board
+export const getSubBoardWinners = (board) => Array.from({ length: SUB_CELLS }, (_, sub) => {
+  const cells = board.slice(sub * SUB_CELLS, (sub + 1) * SUB_CELLS);
+  return checkWin(cells) || (cells.includes(null) ? null : 'DRAW');
+});
+
+export const emptyBoard = (game) => Array(isUltimate(game) ? SUB_CELLS * SUB_CELLS : (game.boardSize || 3) ** 2).fill(null);
+
+// Board fields for the start of a round: { board }, plus the sub-board state of an ultimate game
+export const newBoardState = (game) => isUltimate(game)
+  ? { board: emptyBoard(game), subBoardWinners: Array(SUB_CELLS).fill(null), activeSubBoard: null }
+  : { board: emptyBoard(game) };
+
+export const otherPlayer = (game, player) => (player === game.playerA) ? game.playerB : game.playerA;
+
+// Player A is always X
+export const symbolFor = (game, player) => {
+  if (player === game.playerA) return 'X';
+  if (player === game.playerB) return 'O';
+  return null;
+};
+
+// Games stored before the turn timer existed have no moveTimeoutMs.
+// Practice games have no clock.
+export const nextDeadline = (game, now, defaultMoveTimeoutMs = DEFAULT_MOVE_TIMEOUT_MS) =>
+  game.practice ? null : now + (game.moveTimeoutMs || defaultMoveTimeoutMs);
+
+// Why `player` can't play `index` right now as { code, message }, or null if the
+// move is legal. Codes match the API error codes for the same checks.
+export const validateMove = (game, player, index, now) => {
+  if (game.status !== 'PLAYING') return { code: 'GAME_NOT_ACTIVE', message: "Game not active" };
+  if (game.turn !== player) return { code: 'NOT_YOUR_TURN', message: "Not your turn" };
+  if (game.turnDeadline && game.turnDeadline <= now) return { code: 'MOVE_TIME_EXPIRED', message: "Move time expired" };
+  if (!Number.isInteger(index) || index < 0 || index >= game.board.length) {
+    return { code: 'INVALID_CELL', message: `index must be between 0 and ${game.board.length - 1}` };
+  }
+  if (isUltimate(game)) {
+    const sub = Math.floor(index / SUB_CELLS);
+    if (game.activeSubBoard != null && sub !== game.activeSubBoard) {
+      return { code: 'WRONG_SUB_BOARD', message: `You must play in sub-board ${game.activeSubBoard + 1}` };
+    }
+    if (getSubBoardWinners(game.board)[sub]) return { code: 'WRONG_SUB_BOARD', message: "That sub-board is already decided" };
+  }
+  if (game.board[index]) return { code: 'CELL_TAKEN', message: "Cell taken" };
+  return null;
+};
+
+// Fresh board for the next round. In a series the first move alternates every
+// round; a single game keeps the legacy rule (same player restarts after a draw).
+const nextRound = (game, now, defaultMoveTimeoutMs) => {
+  const next = { ...game, ...newBoardState(game), round: (game.round || 1) + 1 };
+  if ((game.bestOf || 1) > 1) {
+    next.roundStarter = otherPlayer(game, game.roundStarter || game.playerA);
+    next.turn = next.roundStarter;
+  }
+  next.turnDeadline = nextDeadline(next, now, defaultMoveTimeoutMs);
+  return next;
+};
+
+// The board after a move at index as { winnerSymbol, full, state }: full means no
+// move is left, state holds the sub-board fields an ultimate game keeps current.
+// Ultimate games run checkWin on every sub-board and then on the meta-board,
+// where drawn sub-boards count for nobody.
+const resolveBoard = (game, board, index) => {
+  if (!isUltimate(game)) {
+    return { winnerSymbol: checkWin(board, game.boardSize || 3, game.winLength || 3), full: !board.includes(null), state: {} };
+  }
+  const subBoardWinners = getSubBoardWinners(board);
+  const target = index % SUB_CELLS;
+  return {
+    winnerSymbol: checkWin(subBoardWinners.map(w => (w === 'DRAW' ? null : w))),
+    full: !subBoardWinners.includes(null),
+    state: { subBoardWinners, activeSubBoard: subBoardWinners[target] ? null : target }
+  };
+};
+
+// Plays a move that passed validateMove and resolves the round.
+// Returns { game, result } where result.type is:
+//   'MOVE'  - turn passes to the opponent
+//   'ROUND' - result.winner took a round of a series that is still open
+//   'DRAW'  - no move left (board full, or every sub-board decided), reset for the next round
+//   'WIN'   - result.winner clinched the match (status is now COMPLETED)
+export const applyMove = (game, player, index, { now = Date.now(), defaultMoveTimeoutMs } = {}) => {
+  const symbol = symbolFor(game, player);
+  const round = game.round || 1;
+  const board = [...game.board];
+  board[index] = symbol;
+  const { winnerSymbol, full, state } = resolveBoard(game, board, index);
+  const played = {
+    ...game,
+    board,
+    ...state,
+    moves: [...(game.moves || []), { player, index, symbol, round, at: now }]
+  };
+
+  if (winnerSymbol) {
+    const winner = (winnerSymbol === 'X') ? game.playerA : game.playerB;
+    const seat = (winnerSymbol === 'X') ? 'playerA' : 'playerB';
+    const seriesWins = { playerA: 0, playerB: 0, ...game.seriesWins };
+    seriesWins[seat] += 1;
+    const scored = {
+      ...played,
+      seriesWins,
+      roundResults: [...(game.roundResults || []), { round, winner }]
+    };
+
+    const winsNeeded = Math.floor((game.bestOf || 1) / 2) + 1;
+    if (seriesWins[seat] >= winsNeeded) {
+      return {
+        game: { ...scored, status: 'COMPLETED', winner, endReason: 'LINE', turnDeadline: null },
+        result: { type: 'WIN', winner }
+      };
+    }
+    return { game: nextRound(scored, now, defaultMoveTimeoutMs), result: { type: 'ROUND', winner } };
+  }
+
+  if (full) {
+    const drawn = { ...played, roundResults: [...(game.roundResults || []), { round, winner: null }] };
+    return { game: nextRound(drawn, now, defaultMoveTimeoutMs), result: { type: 'DRAW' } };
+  }
+
+  const turn = otherPlayer(game, player);
+  return {
+    game: { ...played, turn, turnDeadline: nextDeadline(game, now, defaultMoveTimeoutMs) },
+    result: { type: 'MOVE' }
+  };
+};
@@ -0,0 +1,218 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getWinningLines, checkWin, symbolFor, otherPlayer, nextDeadline, validateMove, applyMove,
+  newBoardState, getSubBoardWinners
+} from './engine.js';
+
+const A = '0xaaaa';
+const B = '0xbbbb';
+const NOW = 1_000_000;
+
+const newGame = (overrides = {}) => ({
+  matchId: '123456',
+  playerA: A,
+  playerB: B,
+  board: Array(9).fill(null),
+  turn: A,
+  winner: null,
+  status: 'PLAYING',
+  moveTimeoutMs: 30000,
+  turnDeadline: NOW + 30000,
+  endReason: null,
+  round: 1,
+  moves: [],
+  bestOf: 1,
+  seriesWins: { playerA: 0, playerB: 0 },
+  roundStarter: A,
+  roundResults: [],
+  boardSize: 3,
+  winLength: 3,
+  ...overrides
+});
+
+// Plays cells alternately from the current turn, threading the game through applyMove
+const play = (game, cells) => {
+  let result;
+  for (const index of cells) {
+    ({ game, result } = applyMove(game, game.turn, index, { now: NOW }));
+  }
+  return { game, result };
+};
+
+test('getWinningLines has the classic eight lines on 3x3', () => {
+  assert.equal(getWinningLines(3, 3).length, 8);
+});
+
+test('getWinningLines counts every k-run on larger boards', () => {
+  // 4x4 connect-3: 8 per direction for rows/cols, 4 per diagonal direction
+  assert.equal(getWinningLines(4, 3).length, 24);
+  assert.equal(getWinningLines(5, 4).length, 28);
+});
+
+test('checkWin finds rows, columns and diagonals', () => {
+  assert.equal(checkWin(['X', 'X', 'X', null, null, null, null, null, null]), 'X');
+  assert.equal(checkWin(['O', null, null, 'O', null, null, 'O', null, null]), 'O');
+  assert.equal(checkWin([null, null, 'X', null, 'X', null, 'X', null, null]), 'X');
+  assert.equal(checkWin(['X', 'O', 'X', 'X', 'O', 'O', 'O', 'X', 'X']), null);
+});
+
+test('checkWin respects the win length', () => {
+  const board = Array(16).fill(null);
+  board[5] = board[6] = board[7] = 'O';
+  assert.equal(checkWin(board, 4, 3), 'O');
+  assert.equal(checkWin(board, 4, 4), null);
+});
+
+test('symbolFor and otherPlayer follow the seats', () => {
+  const game = newGame();
+  assert.equal(symbolFor(game, A), 'X');
+  assert.equal(symbolFor(game, B), 'O');
+  assert.equal(symbolFor(game, '0xcccc'), null);
+  assert.equal(otherPlayer(game, A), B);
+  assert.equal(otherPlayer(game, B), A);
+});
+
+test('nextDeadline uses the game clock, the default, or none for practice', () => {
+  assert.equal(nextDeadline(newGame(), NOW), NOW + 30000);
+  assert.equal(nextDeadline(newGame({ moveTimeoutMs: undefined }), NOW, 5000), NOW + 5000);
+  assert.equal(nextDeadline(newGame({ practice: true }), NOW), null);
+});
+
+test('validateMove rejects illegal moves with API error codes', () => {
+  const game = newGame({ board: ['X', ...Array(8).fill(null)] });
+  assert.equal(validateMove(newGame({ status: 'WAITING' }), A, 0, NOW).code, 'GAME_NOT_ACTIVE');
+  assert.equal(validateMove(game, B, 1, NOW).code, 'NOT_YOUR_TURN');
+  assert.equal(validateMove(game, A, 1, NOW + 30000).code, 'MOVE_TIME_EXPIRED');
+  assert.equal(validateMove(game, A, 9, NOW).code, 'INVALID_CELL');
+  assert.equal(validateMove(game, A, -1, NOW).code, 'INVALID_CELL');
+  assert.equal(validateMove(game, A, 1.5, NOW).code, 'INVALID_CELL');
+  assert.equal(validateMove(game, A, 0, NOW).code, 'CELL_TAKEN');
+  assert.equal(validateMove(game, A, 1, NOW), null);
+});
+
+test('applyMove places the mark, logs the move and passes the turn', () => {
+  const game = newGame();
+  const { game: next, result } = applyMove(game, A, 4, { now: NOW });
+
+  assert.equal(result.type, 'MOVE');
+  assert.equal(next.board[4], 'X');
+  assert.equal(next.turn, B);
+  assert.equal(next.turnDeadline, NOW + 30000);
+  assert.deepEqual(next.moves, [{ player: A, index: 4, symbol: 'X', round: 1, at: NOW }]);
+});
+
+test('applyMove does not mutate its input', () => {
+  const game = newGame();
+  const snapshot = structuredClone(game);
+  play(game, [0, 3, 1, 4, 2]);
+  assert.deepEqual(game, snapshot);
+});
+
+test('a line in a single game completes the match', () => {
+  const { game, result } = play(newGame(), [0, 3, 1, 4, 2]);
+
+  assert.deepEqual(result, { type: 'WIN', winner: A });
+  assert.equal(game.status, 'COMPLETED');
+  assert.equal(game.winner, A);
+  assert.equal(game.endReason, 'LINE');
+  assert.equal(game.turnDeadline, null);
+  assert.deepEqual(game.roundResults, [{ round: 1, winner: A }]);
+});
+
+test('a full board resets for the next round with the same player to move', () => {
+  // X O X / X O O / O X X - no line
+  const { game, result } = play(newGame(), [0, 1, 2, 4, 3, 5, 7, 6, 8]);
+
+  assert.equal(result.type, 'DRAW');
+  assert.equal(game.status, 'PLAYING');
+  assert.equal(game.round, 2);
+  assert.deepEqual(game.board, Array(9).fill(null));
+  assert.deepEqual(game.roundResults, [{ round: 1, winner: null }]);
+  assert.equal(game.turn, A);
+  assert.equal(game.moves.length, 9);
+});
+
+test('a series round win starts the next round with the other starter', () => {
+  const { game, result } = play(newGame({ bestOf: 3 }), [0, 3, 1, 4, 2]);
+
+  assert.deepEqual(result, { type: 'ROUND', winner: A });
+  assert.equal(game.status, 'PLAYING');
+  assert.deepEqual(game.seriesWins, { playerA: 1, playerB: 0 });
+  assert.equal(game.round, 2);
+  assert.equal(game.roundStarter, B);
+  assert.equal(game.turn, B);
+});
+
+test('a series completes once a player clinches it', () => {
+  let { game } = play(newGame({ bestOf: 3 }), [0, 3, 1, 4, 2]); // A wins round 1
+  ({ game } = play(game, [0, 3, 1, 4, 2]));                     // B starts and wins round 2
+  assert.deepEqual(game.seriesWins, { playerA: 1, playerB: 1 });
+  assert.equal(game.turn, A);
+
+  const { game: final, result } = play(game, [0, 3, 1, 4, 2]);  // A wins round 3
+  assert.deepEqual(result, { type: 'WIN', winner: A });
+  assert.equal(final.status, 'COMPLETED');
+  assert.deepEqual(final.seriesWins, { playerA: 2, playerB: 1 });
+});
+
+test('larger boards use their own size and win length', () => {
+  const game = newGame({ board: Array(16).fill(null), boardSize: 4, winLength: 3 });
+  const { game: next, result } = play(game, [5, 0, 6, 1, 7]);
+  assert.equal(result.type, 'WIN');
+  assert.equal(next.winner, A);
+});
+
+const newUltimate = (overrides = {}) => newGame({ gameType: 'ultimate', ...newBoardState({ gameType: 'ultimate' }), ...overrides });
+
+test('ultimate: the cell played picks the sub-board the opponent must use', () => {
+  const { game } = play(newUltimate(), [4 * 9 + 2]); // Centre sub-board, top-right cell
+  assert.equal(game.board.length, 81);
+  assert.equal(game.activeSubBoard, 2);
+  assert.equal(validateMove(game, B, 5 * 9, NOW).code, 'WRONG_SUB_BOARD');
+  assert.equal(validateMove(game, B, 2 * 9 + 4, NOW), null);
+});
+
+test('ultimate: a decided sub-board is closed and frees the next move', () => {
+  const board = Array(81).fill(null);
+  board[36] = board[37] = 'X';
+  board[0] = board[9] = 'O';
+  const start = newUltimate({ board, activeSubBoard: 4 });
+
+  let { game } = play(start, [38]); // X takes sub-board 4, sends O to sub-board 2
+  assert.deepEqual(getSubBoardWinners(game.board), [null, null, null, null, 'X', null, null, null, null]);
+  assert.equal(game.subBoardWinners[4], 'X');
+  assert.equal(game.activeSubBoard, 2);
+
+  ({ game } = play(game, [2 * 9 + 4])); // O's cell points at the decided sub-board 4
+  assert.equal(game.activeSubBoard, null);
+  assert.equal(validateMove(game, A, 4 * 9 + 5, NOW).code, 'WRONG_SUB_BOARD');
+  assert.equal(validateMove(game, A, 7 * 9, NOW), null);
+});
+
+test('ultimate: three sub-boards in a row win the match', () => {
+  const board = Array(81).fill(null);
+  [0, 1, 2, 9, 10, 11, 18, 19].forEach(i => { board[i] = 'X'; });
+  [27, 28, 36, 37, 45, 46].forEach(i => { board[i] = 'O'; });
+  const start = newUltimate({ board, subBoardWinners: ['X', 'X', null, null, null, null, null, null, null], activeSubBoard: 2 });
+
+  const { game, result } = play(start, [20]);
+  assert.deepEqual(result, { type: 'WIN', winner: A });
+  assert.equal(game.status, 'COMPLETED');
+});
+
+test('ultimate: a drawn meta-board resets every sub-board', () => {
+  // X X O / O O X / X O X on the meta-board, last sub-board one move from a draw
+  const metas = ['X', 'X', 'O', 'O', 'O', 'X', 'X', 'O', null];
+  const board = Array(81).fill(null);
+  metas.forEach((w, sub) => { if (w) board[sub * 9] = board[sub * 9 + 1] = board[sub * 9 + 2] = w; });
+  ['X', 'O', 'X', 'X', 'O', 'O', 'O', 'X', null].forEach((v, i) => { board[72 + i] = v; });
+  const start = newUltimate({ board, subBoardWinners: metas, activeSubBoard: 8 });
+
+  const { game, result } = play(start, [80]);
+  assert.equal(result.type, 'DRAW');
+  assert.equal(game.round, 2);
+  assert.deepEqual(game.board, Array(81).fill(null));
+  assert.deepEqual(game.subBoardWinners, Array(9).fill(null));
+  assert.equal(game.activeSubBoard, null);
+});
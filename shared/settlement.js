@@ -0,0 +1,86 @@
+// ---------------------------------------------------------
+// SETTLEMENT ATTESTATIONS
+// ---------------------------------------------------------
+// Shared by backend (signing) and frontend (checking before `settle`).
+// Dependency-free: callers pass in their own ethers v6 instance.
+//
+// Two formats are produced for every win:
+//   legacy - personal_sign over solidityPackedKeccak256(chainId, matchId, winner),
+//            which is what UlaniWager.settle() verifies today
+//   typed  - EIP-712 Settlement(matchId, winner, nonce, deadline) bound to the
+//            contract address, readable in wallets, with an expiry
+
+export const SETTLEMENT_DOMAIN_NAME = 'UlaniWager';
+export const SETTLEMENT_VERSION = '1';
+
+export const SETTLEMENT_TYPES = {
+  Settlement: [
+    { name: 'matchId', type: 'uint256' },
+    { name: 'winner', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+export const buildSettlementDomain = (chainId, verifyingContract) => ({
+  name: SETTLEMENT_DOMAIN_NAME,
+  version: SETTLEMENT_VERSION,
+  chainId: Number(chainId),
+  verifyingContract,
+});
+
+export const legacySettlementHash = (ethers, chainId, matchId, winner) =>
+  ethers.solidityPackedKeccak256(['uint256', 'uint256', 'address'], [chainId, matchId, winner]);
+
+// Checks a legacy signature against the expected signer.
+// Returns { ok, signer, reason }.
+export const verifyLegacySettlement = (ethers, { chainId, matchId, winner, signature }, expectedSigner) => {
+  let signer;
+  try {
+    const hash = legacySettlementHash(ethers, chainId, matchId, winner);
+    signer = ethers.verifyMessage(ethers.getBytes(hash), signature);
+  } catch {
+    return { ok: false, signer: null, reason: 'Malformed signature' };
+  }
+  if (signer.toLowerCase() !== expectedSigner.toLowerCase()) {
+    return { ok: false, signer, reason: 'Signed by an untrusted key' };
+  }
+  return { ok: true, signer, reason: null };
+};
+
+// Checks a typed attestation ({ domain, message, signature }) against the expected
+// signer, chain, contract, match and winner, and that it hasn't expired.
+// Returns { ok, signer, reason }.
+export const verifyTypedSettlement = (ethers, attestation, expected, nowSeconds = Math.floor(Date.now() / 1000)) => {
+  const { domain, message, signature } = attestation;
+
+  if (domain.name !== SETTLEMENT_DOMAIN_NAME || domain.version !== SETTLEMENT_VERSION) {
+    return { ok: false, signer: null, reason: `Unsupported attestation ${domain.name} v${domain.version}` };
+  }
+  if (Number(domain.chainId) !== Number(expected.chainId)) {
+    return { ok: false, signer: null, reason: 'Wrong chain' };
+  }
+  if (domain.verifyingContract.toLowerCase() !== expected.contractAddress.toLowerCase()) {
+    return { ok: false, signer: null, reason: 'Wrong contract' };
+  }
+  if (String(message.matchId) !== String(expected.matchId)) {
+    return { ok: false, signer: null, reason: 'Wrong match' };
+  }
+  if (expected.winner && message.winner.toLowerCase() !== expected.winner.toLowerCase()) {
+    return { ok: false, signer: null, reason: 'Wrong winner' };
+  }
+  if (Number(message.deadline) < nowSeconds) {
+    return { ok: false, signer: null, reason: 'Attestation expired' };
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(domain, SETTLEMENT_TYPES, message, signature);
+  } catch {
+    return { ok: false, signer: null, reason: 'Malformed signature' };
+  }
+  if (signer.toLowerCase() !== expected.signer.toLowerCase()) {
+    return { ok: false, signer, reason: 'Signed by an untrusted key' };
+  }
+  return { ok: true, signer, reason: null };
+};
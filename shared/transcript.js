@@ -0,0 +1,121 @@
+// ---------------------------------------------------------
+// SIGNED MOVE TRANSCRIPTS
+// ---------------------------------------------------------
+// Shared by backend (checking each move as it arrives), frontend (signing moves)
+// and backend/verify_transcript.js (offline disputes).
+// Dependency-free: callers pass in their own ethers v6 instance.
+//
+// Every move of a wagered game is signed by the player's wallet as EIP-712
+// Move(matchId, moveNumber, index, prevStateHash). The state hashes form a chain:
+//   genesis   = keccak256(abi.encode(matchId, playerA, playerB, gameType, boardSize, winLength, bestOf))
+//   stateHash = keccak256(abi.encode(prevStateHash, moveNumber, index, player))
+// so a signature over prevStateHash commits the player to the rules and to every
+// earlier move. moveNumber counts from 1 across all rounds of a series.
+
+import { validateMove, applyMove, newBoardState, otherPlayer } from './engine.js';
+
+export const TRANSCRIPT_DOMAIN_NAME = 'UlaniTicTacToe';
+export const TRANSCRIPT_VERSION = '1';
+
+export const MOVE_TYPES = {
+  Move: [
+    { name: 'matchId', type: 'uint256' },
+    { name: 'moveNumber', type: 'uint256' },
+    { name: 'index', type: 'uint8' },
+    { name: 'prevStateHash', type: 'bytes32' },
+  ],
+};
+
+export const buildMoveDomain = (chainId, verifyingContract) => ({
+  name: TRANSCRIPT_DOMAIN_NAME,
+  version: TRANSCRIPT_VERSION,
+  chainId: Number(chainId),
+  verifyingContract,
+});
+
+export const genesisStateHash = (ethers, game) => ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+  ['uint256', 'address', 'address', 'string', 'uint8', 'uint8', 'uint8'],
+  [game.matchId, game.playerA, game.playerB, game.gameType || 'classic', game.boardSize || 3, game.winLength || 3, game.bestOf || 1]
+));
+
+export const nextStateHash = (ethers, prevStateHash, { moveNumber, index, player }) => ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+  ['bytes32', 'uint256', 'uint8', 'address'],
+  [prevStateHash, moveNumber, index, player]
+));
+
+export const moveMessage = (matchId, moveNumber, index, prevStateHash) => ({ matchId, moveNumber, index, prevStateHash });
+
+// Address that signed a move, or null if the signature is malformed
+export const recoverMoveSigner = (ethers, domain, message, signature) => {
+  try {
+    return ethers.verifyTypedData(domain, MOVE_TYPES, message, signature).toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+// Replays an exported transcript (see GET /games/:matchId/transcript) with the
+// game engine, checking the hash chain and every move signature.
+// Clocks are the server's call and aren't replayed: a TIMEOUT is accepted when
+// the signed moves leave the loser on turn.
+// Returns { ok, reason, moves, winner } - moves is how many moves checked out,
+// winner the address the signed moves lead to (null while undecided).
+export const verifyTranscript = (ethers, transcript) => {
+  const { matchId, playerA, playerB, chainId, contractAddress, moves } = transcript;
+  const domain = buildMoveDomain(chainId, contractAddress);
+  const fail = (reason, checked, winner = null) => ({ ok: false, reason, moves: checked, winner });
+
+  if (transcript.genesisStateHash !== genesisStateHash(ethers, transcript)) {
+    return fail('Genesis state hash does not match the match settings', 0);
+  }
+
+  const rules = { gameType: transcript.gameType, boardSize: transcript.boardSize, winLength: transcript.winLength, bestOf: transcript.bestOf };
+  let game = {
+    matchId,
+    playerA,
+    playerB,
+    ...rules,
+    ...newBoardState(rules),
+    status: 'PLAYING',
+    turn: playerA, // Player A starts
+    roundStarter: playerA,
+    moves: [],
+  };
+  let stateHash = transcript.genesisStateHash;
+
+  for (let i = 0; i < moves.length; i++) {
+    const move = moves[i];
+    const moveNumber = i + 1;
+    const at = `Move ${moveNumber}`;
+
+    if (move.moveNumber !== moveNumber) return fail(`${at}: numbered ${move.moveNumber}`, i);
+    if (move.prevStateHash !== stateHash) return fail(`${at}: previous state hash breaks the chain`, i);
+    if (!move.signature) return fail(`${at}: not signed`, i);
+
+    const signer = recoverMoveSigner(ethers, domain, moveMessage(matchId, moveNumber, move.index, stateHash), move.signature);
+    if (!signer) return fail(`${at}: malformed signature`, i);
+    if (signer !== move.player) return fail(`${at}: signed by ${signer}, recorded for ${move.player}`, i);
+
+    const invalid = validateMove({ ...game, turnDeadline: null }, signer, move.index, move.at);
+    if (invalid) return fail(`${at}: ${invalid.message}`, i);
+
+    game = applyMove(game, signer, move.index, { now: move.at }).game;
+    stateHash = nextStateHash(ethers, stateHash, { moveNumber, index: move.index, player: signer });
+    if (move.stateHash !== stateHash) return fail(`${at}: state hash does not match the move`, i);
+  }
+
+  const checked = moves.length;
+  if (transcript.stateHash !== stateHash) return fail('Final state hash does not match the last move', checked);
+
+  if (game.status === 'COMPLETED') {
+    if (transcript.winner !== game.winner) return fail(`Moves are won by ${game.winner}, transcript says ${transcript.winner}`, checked, game.winner);
+    return { ok: true, reason: null, moves: checked, winner: game.winner };
+  }
+  if (transcript.endReason === 'TIMEOUT') {
+    const opponent = otherPlayer(game, game.turn);
+    if (transcript.winner !== opponent) return fail(`Timeout belongs to ${opponent}, transcript says ${transcript.winner}`, checked);
+    return { ok: true, reason: null, moves: checked, winner: transcript.winner };
+  }
+  if (transcript.status === 'COMPLETED') return fail('Transcript is completed but the moves decide no winner', checked);
+  return { ok: true, reason: null, moves: checked, winner: null };
+};
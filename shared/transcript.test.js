@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { applyMove, newBoardState } from './engine.js';
+import {
+  MOVE_TYPES, buildMoveDomain, genesisStateHash, nextStateHash, moveMessage, verifyTranscript
+} from './transcript.js';
+
+// Well-known local dev keys - never funded anywhere real
+const walletA = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const walletB = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const A = walletA.address.toLowerCase();
+const B = walletB.address.toLowerCase();
+const wallets = { [A]: walletA, [B]: walletB };
+
+const CHAIN_ID = 31337;
+const CONTRACT = '0x104739765FD82261F7a5005Af47ec6412484081c';
+const NOW = 1_000_000;
+
+// Plays cells in order (whoever is on turn), signing each move the way the
+// frontend does, and returns the transcript GET /games/:matchId/transcript would export
+const buildTranscript = async (cells, { bestOf = 1 } = {}) => {
+  const rules = { gameType: 'classic', boardSize: 3, winLength: 3, bestOf };
+  let game = {
+    matchId: '123456', playerA: A, playerB: B, ...rules, ...newBoardState(rules),
+    status: 'PLAYING', turn: A, roundStarter: A, moves: []
+  };
+  const domain = buildMoveDomain(CHAIN_ID, CONTRACT);
+  const genesis = genesisStateHash(ethers, game);
+  let stateHash = genesis;
+  const moves = [];
+
+  for (const [i, index] of cells.entries()) {
+    const moveNumber = i + 1;
+    const player = game.turn;
+    const signature = await wallets[player].signTypedData(domain, MOVE_TYPES, moveMessage(game.matchId, moveNumber, index, stateHash));
+    const prevStateHash = stateHash;
+    stateHash = nextStateHash(ethers, prevStateHash, { moveNumber, index, player });
+    moves.push({ moveNumber, player, index, round: game.round || 1, at: NOW + i, prevStateHash, stateHash, signature });
+    game = applyMove(game, player, index, { now: NOW + i }).game;
+  }
+
+  return {
+    version: 1,
+    matchId: game.matchId,
+    chainId: CHAIN_ID,
+    contractAddress: CONTRACT,
+    playerA: A,
+    playerB: B,
+    ...rules,
+    status: game.status,
+    winner: game.winner || null,
+    endReason: game.endReason || null,
+    genesisStateHash: genesis,
+    stateHash,
+    moves
+  };
+};
+
+// A takes the top row in 5 moves
+const A_WINS = [0, 3, 1, 4, 2];
+
+test('verifyTranscript accepts a signed best-of-3 series', async () => {
+  // Round 1: A wins the top row. Round 2: B starts and wins the top row.
+  // Round 3: A starts and wins the left column.
+  const transcript = await buildTranscript([...A_WINS, 0, 3, 1, 4, 2, 0, 1, 3, 4, 6], { bestOf: 3 });
+  assert.equal(transcript.status, 'COMPLETED');
+
+  const result = verifyTranscript(ethers, transcript);
+  assert.deepEqual(result, { ok: true, reason: null, moves: 15, winner: A });
+});
+
+test('verifyTranscript accepts an unfinished game', async () => {
+  const result = verifyTranscript(ethers, await buildTranscript([4, 0]));
+  assert.deepEqual(result, { ok: true, reason: null, moves: 2, winner: null });
+});
+
+test('verifyTranscript rejects a tampered move index', async () => {
+  const transcript = await buildTranscript(A_WINS);
+  transcript.moves[2].index = 8;
+
+  const result = verifyTranscript(ethers, transcript);
+  assert.equal(result.ok, false);
+  assert.equal(result.moves, 2);
+  assert.match(result.reason, /^Move 3: signed by 0x[0-9a-f]{40}, recorded for /);
+});
+
+test('verifyTranscript rejects a signature from the wrong wallet or a malformed one', async () => {
+  const transcript = await buildTranscript(A_WINS);
+  const move = transcript.moves[1];
+  const domain = buildMoveDomain(CHAIN_ID, CONTRACT);
+  move.signature = await walletA.signTypedData(domain, MOVE_TYPES, moveMessage('123456', 2, move.index, move.prevStateHash));
+  assert.match(verifyTranscript(ethers, transcript).reason, new RegExp(`^Move 2: signed by ${A}, recorded for ${B}`));
+
+  move.signature = '0x1234';
+  assert.equal(verifyTranscript(ethers, transcript).reason, 'Move 2: malformed signature');
+
+  delete move.signature;
+  assert.equal(verifyTranscript(ethers, transcript).reason, 'Move 2: not signed');
+});
+
+test('verifyTranscript rejects a broken state hash chain', async () => {
+  const broken = await buildTranscript(A_WINS);
+  broken.moves[3].prevStateHash = broken.moves[1].stateHash;
+  assert.deepEqual(verifyTranscript(ethers, broken), {
+    ok: false, reason: 'Move 4: previous state hash breaks the chain', moves: 3, winner: null
+  });
+
+  // Dropping a move breaks the numbering before the chain
+  const dropped = await buildTranscript(A_WINS);
+  dropped.moves.splice(1, 1);
+  assert.equal(verifyTranscript(ethers, dropped).reason, 'Move 2: numbered 3');
+
+  const wrongHead = await buildTranscript(A_WINS);
+  wrongHead.stateHash = wrongHead.moves[3].stateHash;
+  assert.equal(verifyTranscript(ethers, wrongHead).reason, 'Final state hash does not match the last move');
+});
+
+test('verifyTranscript rejects match settings that differ from the signed genesis', async () => {
+  const transcript = await buildTranscript(A_WINS);
+  transcript.boardSize = 4;
+  assert.deepEqual(verifyTranscript(ethers, transcript), {
+    ok: false, reason: 'Genesis state hash does not match the match settings', moves: 0, winner: null
+  });
+});
+
+test('verifyTranscript rejects a winner the moves do not lead to', async () => {
+  const transcript = await buildTranscript(A_WINS);
+  transcript.winner = B;
+
+  const result = verifyTranscript(ethers, transcript);
+  assert.equal(result.ok, false);
+  assert.equal(result.winner, A);
+  assert.equal(result.reason, `Moves are won by ${A}, transcript says ${B}`);
+
+  const undecided = await buildTranscript([0, 3, 1]);
+  undecided.status = 'COMPLETED';
+  undecided.winner = A;
+  assert.equal(verifyTranscript(ethers, undecided).reason, 'Transcript is completed but the moves decide no winner');
+});
+
+test('verifyTranscript only accepts a TIMEOUT for the player not on turn', async () => {
+  // A, B, A played - B is on turn when the clock runs out
+  const transcript = { ...await buildTranscript([0, 3, 1]), status: 'COMPLETED', endReason: 'TIMEOUT' };
+
+  assert.deepEqual(verifyTranscript(ethers, { ...transcript, winner: A }), { ok: true, reason: null, moves: 3, winner: A });
+
+  const wrong = verifyTranscript(ethers, { ...transcript, winner: B });
+  assert.equal(wrong.ok, false);
+  assert.equal(wrong.reason, `Timeout belongs to ${A}, transcript says ${B}`);
+});